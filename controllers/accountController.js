@@ -0,0 +1,297 @@
+// controllers/accountController.js
+const bcrypt = require('bcryptjs');
+const prisma = require('./../utils/prisma');
+const { sendVerificationEmail } = require('../utils/email');
+const { revokeAllSessions } = require('../utils/session');
+const { getRolePermissions } = require('../utils/permissions');
+const { createVerificationCode } = require('../utils/otp');
+const {
+  getAccountLockedUntil,
+  recordFailedLogin,
+  clearFailedLogins,
+  sendLockedResponse
+} = require('../utils/loginThrottle');
+const {
+  validatePassword,
+  hashNewPassword,
+  sendPasswordPolicyErrors
+} = require('../utils/passwordPolicy');
+
+// Fields of the signed-in user's own profile
+const profileSelect = {
+  id: true,
+  name: true,
+  email: true,
+  pendingEmail: true,
+  role: true,
+  isActive: true,
+  isVerified: true,
+  twoFactorEnabled: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+/**
+ * Build the profile response, including what the user's role allows
+ * @param {Object} user - User record selected with profileSelect
+ */
+const withPermissions = async (user) => ({
+  ...user,
+  permissions: await getRolePermissions(user.role)
+});
+
+/**
+ * Get the current user's profile
+ * @route GET /api/v1/me
+ */
+exports.getMe = async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: profileSelect
+    });
+
+    res.status(200).json({
+      success: true,
+      data: await withPermissions(user)
+    });
+  } catch (error) {
+    console.error('Get profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching profile',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Update the current user's profile. Email and password have their own
+ * endpoints; role and status can only be changed by an admin.
+ * @route PUT /api/v1/me
+ */
+exports.updateMe = async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name is required'
+      });
+    }
+
+    const user = await prisma.user.update({
+      where: { id: req.user.id },
+      data: { name: String(name).trim() },
+      select: profileSelect
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Profile updated successfully',
+      data: await withPermissions(user)
+    });
+  } catch (error) {
+    console.error('Update profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating profile',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Change the current user's password. Other sessions are signed out.
+ * @route PUT /api/v1/me/password
+ */
+exports.changeMyPassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current password and new password are required'
+      });
+    }
+
+    // Password checks here count towards the login lockout, so a session
+    // cannot be used to test password guesses
+    const accountLockedUntil = getAccountLockedUntil(req.user);
+    if (accountLockedUntil) {
+      return sendLockedResponse(res, accountLockedUntil);
+    }
+
+    const isPasswordCorrect = await bcrypt.compare(currentPassword, req.user.password);
+    if (!isPasswordCorrect) {
+      const lockedUntil = await recordFailedLogin(req, req.user.email, req.user, 'invalid_password');
+      if (lockedUntil) {
+        return sendLockedResponse(res, lockedUntil);
+      }
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    await clearFailedLogins(req.user);
+
+    const passwordErrors = await validatePassword(newPassword, req.user);
+    if (passwordErrors.length > 0) {
+      return sendPasswordPolicyErrors(res, passwordErrors);
+    }
+
+    await prisma.user.update({
+      where: { id: req.user.id },
+      data: await hashNewPassword(newPassword, req.user)
+    });
+
+    await revokeAllSessions(req.user.id, req.sessionId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password changed successfully. Other devices have been signed out.'
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error changing password',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Start an email change. A verification code is sent to the new address and
+ * the change is applied once it is confirmed through POST /verify-otp.
+ * @route PUT /api/v1/me/email
+ */
+exports.changeMyEmail = async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!email || !emailRegex.test(email)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid email address'
+      });
+    }
+
+    if (email === req.user.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'This is already your email address'
+      });
+    }
+
+    const accountLockedUntil = getAccountLockedUntil(req.user);
+    if (accountLockedUntil) {
+      return sendLockedResponse(res, accountLockedUntil);
+    }
+
+    const isPasswordCorrect = password && await bcrypt.compare(password, req.user.password);
+    if (!isPasswordCorrect) {
+      const lockedUntil = await recordFailedLogin(req, req.user.email, req.user, 'invalid_password');
+      if (lockedUntil) {
+        return sendLockedResponse(res, lockedUntil);
+      }
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    await clearFailedLogins(req.user);
+
+    const emailTaken = await prisma.user.findUnique({
+      where: { email }
+    });
+
+    if (emailTaken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already taken by another user'
+      });
+    }
+
+    // Same hashed 6-digit code as signup verification
+    const { code, data } = createVerificationCode();
+
+    await prisma.user.update({
+      where: { id: req.user.id },
+      data: {
+        pendingEmail: email,
+        ...data
+      }
+    });
+
+    await sendVerificationEmail(email, code);
+
+    res.status(200).json({
+      success: true,
+      message: 'A verification code has been sent to your new email address'
+    });
+  } catch (error) {
+    console.error('Change email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error changing email',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * List the blogs and news written by the current user
+ * @route GET /api/v1/me/content
+ */
+exports.getMyContent = async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const where = { authorId: req.user.id };
+
+    const [blogs, blogTotal, news, newsTotal] = await Promise.all([
+      prisma.blog.findMany({
+        where,
+        skip,
+        take: parseInt(limit),
+        orderBy: { createdAt: 'desc' }
+      }),
+      prisma.blog.count({ where }),
+      prisma.news.findMany({
+        where,
+        skip,
+        take: parseInt(limit),
+        orderBy: { createdAt: 'desc' }
+      }),
+      prisma.news.count({ where })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        blogs,
+        news,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          blogTotal,
+          newsTotal,
+          pages: Math.ceil(Math.max(blogTotal, newsTotal) / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get my content error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching your content',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
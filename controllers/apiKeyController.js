@@ -0,0 +1,167 @@
+// controllers/apiKeyController.js
+const prisma = require('./../utils/prisma');
+const { generateApiKey } = require('../utils/apiKeys');
+const { PERMISSIONS, getRolePermissions } = require('../utils/permissions');
+
+// Fields returned for API keys; the hash never leaves the server
+const apiKeySelect = {
+  id: true,
+  name: true,
+  keyPrefix: true,
+  scopes: true,
+  createdById: true,
+  expiresAt: true,
+  lastUsedAt: true,
+  lastUsedIp: true,
+  revokedAt: true,
+  createdAt: true
+};
+
+/**
+ * List API keys
+ * @route GET /api/v1/api-keys
+ */
+exports.getApiKeys = async (req, res) => {
+  try {
+    const { includeRevoked } = req.query;
+
+    const apiKeys = await prisma.apiKey.findMany({
+      where: includeRevoked === 'true' ? {} : { revokedAt: null },
+      select: apiKeySelect,
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: apiKeys
+    });
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching API keys',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Issue an API key. The key acts on behalf of the issuing user and can only
+ * be given scopes that user holds. The plain key is only returned here.
+ * @route POST /api/v1/api-keys
+ */
+exports.createApiKey = async (req, res) => {
+  try {
+    const { name, scopes, expiresAt } = req.body;
+
+    if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name and at least one scope are required'
+      });
+    }
+
+    const unknown = scopes.filter(scope => !PERMISSIONS[scope]);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown scopes: ${unknown.join(', ')}`
+      });
+    }
+
+    const ownPermissions = await getRolePermissions(req.user.role);
+    const notHeld = scopes.filter(scope => !ownPermissions.includes(scope));
+    if (notHeld.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `You cannot grant scopes you do not have: ${notHeld.join(', ')}`
+      });
+    }
+
+    let expiry = null;
+    if (expiresAt) {
+      expiry = new Date(expiresAt);
+      if (isNaN(expiry.getTime()) || expiry <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Expiry must be a valid date in the future'
+        });
+      }
+    }
+
+    const { key, keyHash, keyPrefix } = generateApiKey();
+
+    const apiKey = await prisma.apiKey.create({
+      data: {
+        name,
+        keyPrefix,
+        keyHash,
+        scopes: [...new Set(scopes)],
+        createdById: req.user.id,
+        expiresAt: expiry
+      },
+      select: apiKeySelect
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now, it will not be shown again.',
+      data: { ...apiKey, key }
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating API key',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Revoke an API key
+ * @route DELETE /api/v1/api-keys/:id
+ */
+exports.revokeApiKey = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existingKey = await prisma.apiKey.findUnique({
+      where: { id },
+      select: { id: true, revokedAt: true }
+    });
+
+    if (!existingKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    if (existingKey.revokedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'API key is already revoked'
+      });
+    }
+
+    const apiKey = await prisma.apiKey.update({
+      where: { id },
+      data: { revokedAt: new Date() },
+      select: apiKeySelect
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'API key revoked successfully',
+      data: apiKey
+    });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking API key',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -0,0 +1,86 @@
+// controllers/auditLogController.js
+const prisma = require('./../utils/prisma');
+
+/**
+ * Search the audit log with pagination
+ * @route GET /api/v1/audit-logs
+ */
+exports.getAuditLogs = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, actorId, action, entityType, entityId, from, to } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    // Build where clause
+    const where = {};
+    if (actorId) where.actorId = actorId;
+    if (action) where.action = String(action).toUpperCase();
+    if (entityType) where.entityType = entityType;
+    if (entityId) where.entityId = entityId;
+    if (from || to) {
+      where.createdAt = {};
+      if (from) where.createdAt.gte = new Date(from);
+      if (to) where.createdAt.lte = new Date(to);
+    }
+
+    const [logs, total] = await Promise.all([
+      prisma.auditLog.findMany({
+        where,
+        skip,
+        take: parseInt(limit),
+        orderBy: { createdAt: 'desc' }
+      }),
+      prisma.auditLog.count({ where })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        logs,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get audit logs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching audit logs',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get a single audit log entry
+ * @route GET /api/v1/audit-logs/:id
+ */
+exports.getAuditLogById = async (req, res) => {
+  try {
+    const log = await prisma.auditLog.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!log) {
+      return res.status(404).json({
+        success: false,
+        message: 'Audit log entry not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: log
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching audit log entry',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
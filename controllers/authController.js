@@ -1,6 +1,5 @@
 // controllers/authController.js
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const prisma = require('./../utils/prisma');
 const { 
@@ -8,6 +7,115 @@ const {
   sendPasswordResetEmail, 
   sendWelcomeEmail 
 } = require('../utils/email');
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeSessionByRefreshToken,
+  revokeAllSessions
+} = require('../utils/session');
+const {
+  REFRESH_TOKEN_COOKIE,
+  OIDC_STATE_COOKIE,
+  setAuthCookies,
+  clearAuthCookies,
+  setOidcStateCookie,
+  clearOidcStateCookie
+} = require('../utils/authCookies');
+const {
+  signTwoFactorToken,
+  verifyTwoFactorToken,
+  isTwoFactorRequired,
+  startEnrollment,
+  completeEnrollment,
+  verifySecondFactor
+} = require('../utils/twoFactor');
+const {
+  INVALID_CREDENTIALS_MESSAGE,
+  LOCKED_MESSAGE,
+  getIpLockedUntil,
+  getAccountLockedUntil,
+  getUnknownEmailLockedUntil,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  sendLockedResponse
+} = require('../utils/loginThrottle');
+const { isInvitePending, findInvitedUser } = require('../utils/invitations');
+const { APPROVAL_STATUS, getRegistrationMode } = require('../utils/registration');
+const {
+  MAX_OTP_ATTEMPTS,
+  hashToken,
+  matchesToken,
+  createVerificationCode
+} = require('../utils/otp');
+const {
+  getPasswordPolicy,
+  validatePassword,
+  hashNewPassword,
+  sendPasswordPolicyErrors
+} = require('../utils/passwordPolicy');
+const {
+  LOGIN_STATE_MINUTES,
+  OidcLoginError,
+  isOidcEnabled,
+  isPasswordLoginEnabled,
+  getProviderName,
+  createLoginRequest,
+  readLoginState,
+  completeLogin,
+  findOrProvisionUser
+} = require('../utils/oidc');
+
+/**
+ * Start a session for an authenticated user and send the login response
+ * @param {Object} user - User record
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} [extra] - Additional fields to include in the response body
+ */
+const sendAuthenticatedResponse = async (user, req, res, extra = {}) => {
+  await recordSuccessfulLogin(req, user);
+
+  // Start a server-side session and issue its tokens
+  const { accessToken, refreshToken } = await createSession(user, req);
+
+  const csrfToken = setAuthCookies(res, accessToken, refreshToken);
+
+  // Store user data in localStorage for frontend access
+  const userData = {
+    id: user.id, // MongoDB ObjectID
+    name: user.name,
+    email: user.email,
+    role: user.role
+  };
+
+  res.status(200).json({
+    success: true,
+    token: accessToken,
+    refreshToken,
+    csrfToken,
+    ...extra,
+    data: {
+      user: userData
+    }
+  });
+};
+
+/**
+ * Find the account an email verification code was sent to: a new signup, or
+ * an existing user confirming a changed address
+ * @param {String} email - Address the code was sent to
+ * @returns {Promise<Object|null>}
+ */
+const findUserAwaitingVerification = (email) => {
+  return prisma.user.findFirst({
+    where: {
+      OR: [{ email, isVerified: false }, { pendingEmail: email }],
+      verificationToken: { not: null }
+    }
+  });
+};
+
 /**
  * Register a new user
  * @route POST /api/auth/signup
@@ -16,12 +124,20 @@ exports.signup = async (req, res) => {
   try {
     const { email, password } = req.body;
 
+    const registrationMode = await getRegistrationMode();
+    if (registrationMode === 'closed') {
+      return res.status(403).json({
+        success: false,
+        message: 'Registration is closed. Accounts are created by invitation only.'
+      });
+    }
+
     // Check if user exists and is verified
     const existingUser = await prisma.user.findUnique({
       where: { email }
     });
 
-    if (existingUser && existingUser.isVerified) {
+    if (existingUser && (existingUser.isVerified || isInvitePending(existingUser))) {
       return res.status(400).json({
         success: false,
         message: 'User with this email already exists'
@@ -35,26 +151,33 @@ exports.signup = async (req, res) => {
       });
     }
 
+    const passwordErrors = await validatePassword(password, { email });
+    if (passwordErrors.length > 0) {
+      return sendPasswordPolicyErrors(res, passwordErrors);
+    }
+
     // Hash password
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(password, salt);
+    const passwordData = await hashNewPassword(password);
 
-    // Generate 6-digit verification token
-    const verificationToken = Math.floor(100000 + Math.random() * 900000).toString();
-    const verificationTokenExpires = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
+    // Generate 6-digit verification code; only its hash is stored
+    const { code, data: verificationData } = createVerificationCode();
 
     // Create a new user
     const user = await prisma.user.create({
       data: {
         email,
-        password: hashedPassword,
-        verificationToken,
-        verificationTokenExpires,
-        isVerified: false
+        ...passwordData,
+        ...verificationData,
+        isVerified: false,
+        // Held back until an administrator approves the verified signup
+        ...(registrationMode === 'approval-required' && {
+          isActive: false,
+          approvalStatus: APPROVAL_STATUS.PENDING
+        })
       }
     });
 
-    await sendVerificationEmail(user.email, verificationToken);
+    await sendVerificationEmail(user.email, code);
 
     res.status(201).json({
       success: true,
@@ -70,6 +193,21 @@ exports.signup = async (req, res) => {
   }
 };
 
+/**
+ * Get the password rules, so forms can show them before submitting
+ * @route GET /api/auth/password-policy
+ */
+exports.getPasswordPolicy = (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: getPasswordPolicy()
+  });
+};
+
+// Hash of a random password, compared against for emails without an account.
+// Started at load so the first such login is not slower than the rest.
+const dummyPasswordHash = bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+
 /**
  * Login user
  * @route POST /api/auth/login
@@ -78,24 +216,61 @@ exports.login = async (req, res) => {
   try {
     const { email, password } = req.body;
 
+    // Stop brute force from a single address before doing any work
+    const ipLockedUntil = await getIpLockedUntil(req);
+    if (ipLockedUntil) {
+      return sendLockedResponse(res, ipLockedUntil);
+    }
+
     // Check if user exists
     const user = await prisma.user.findUnique({
       where: { email }
     });
 
+    // Unknown emails get the same lockouts and the same bcrypt work as real
+    // accounts, so neither the response nor its timing shows which exist
     if (!user) {
+      const unknownLockedUntil = await getUnknownEmailLockedUntil(email);
+      if (unknownLockedUntil) {
+        await recordFailedLogin(req, email, null, 'account_locked', false);
+        return sendLockedResponse(res, unknownLockedUntil);
+      }
+
+      await bcrypt.compare(password, await dummyPasswordHash);
+      const lockedUntil = await recordFailedLogin(req, email, null, 'unknown_email');
+      if (lockedUntil) {
+        return sendLockedResponse(res, lockedUntil);
+      }
       return res.status(401).json({
         success: false,
-        message: 'User does not exists'
+        message: INVALID_CREDENTIALS_MESSAGE
       });
     }
 
+    // Locked accounts are rejected without checking the password
+    const accountLockedUntil = getAccountLockedUntil(user);
+    if (accountLockedUntil) {
+      await recordFailedLogin(req, email, user, 'account_locked', false);
+      return sendLockedResponse(res, accountLockedUntil);
+    }
+
     // Check if password is correct
     const isPasswordCorrect = await bcrypt.compare(password, user.password);
     if (!isPasswordCorrect) {
+      const lockedUntil = await recordFailedLogin(req, email, user, 'invalid_password');
+      if (lockedUntil) {
+        return sendLockedResponse(res, lockedUntil);
+      }
       return res.status(401).json({
         success: false,
-        message: 'Invalid credentials'
+        message: INVALID_CREDENTIALS_MESSAGE
+      });
+    }
+
+    if (user.approvalStatus === APPROVAL_STATUS.PENDING) {
+      return res.status(401).json({
+        success: false,
+        message: 'Your registration is awaiting approval by an administrator'
       });
     }
 
@@ -114,50 +289,297 @@ exports.login = async (req, res) => {
       });
     }
 
-    // Create token
-    const token = jwt.sign(
-      { id: user.id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
+    // Second step: verify the second factor, or enroll first if the role requires it
+    if (user.twoFactorEnabled) {
+      return res.status(200).json({
+        success: true,
+        twoFactorRequired: true,
+        twoFactorToken: signTwoFactorToken(user, '2fa-login'),
+        message: 'Enter the code from your authenticator app'
+      });
+    }
 
-    // Set cookie with the token
-    const cookieOptions = {
-      expires: new Date(Date.now() + process.env.JWT_COOKIE_EXPIRES_IN * 24 * 60 * 60 * 1000),
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production'
-    };
+    if (await isTwoFactorRequired(user.role)) {
+      return res.status(200).json({
+        success: true,
+        twoFactorSetupRequired: true,
+        twoFactorToken: signTwoFactorToken(user, '2fa-setup'),
+        message: 'Two-factor authentication must be set up for your account'
+      });
+    }
 
-    res.cookie('jwt', token, cookieOptions);
+    await sendAuthenticatedResponse(user, req, res);
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error logging in',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Load the user behind a two-factor login token
+ * @param {String} token - Token from the password step
+ * @param {String} purpose - Expected token purpose
+ * @returns {Promise<Object|null>} Active, verified user or null
+ */
+const getTwoFactorLoginUser = async (token, purpose) => {
+  const decoded = verifyTwoFactorToken(token, purpose);
+  if (!decoded) return null;
 
-    // Remove password from output
-    const { password: _, ...userWithoutPassword } = user;
+  const user = await prisma.user.findUnique({
+    where: { id: decoded.id }
+  });
 
-    // Store user data in localStorage for frontend access
-    const userData = {
-      id: user.id, // MongoDB ObjectID
-      name: user.name,
-      email: user.email,
-      role: user.role
-    };
+  return user && user.isActive && user.isVerified ? user : null;
+};
+
+/**
+ * Complete a login with a TOTP code or a backup code
+ * @route POST /api/auth/login/2fa
+ */
+exports.loginTwoFactor = async (req, res) => {
+  try {
+    const { twoFactorToken, code, backupCode } = req.body || {};
+
+    const user = await getTwoFactorLoginUser(twoFactorToken, '2fa-login');
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Your login attempt has expired. Please log in again.'
+      });
+    }
+
+    if (!code && !backupCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'Authentication code is required'
+      });
+    }
+
+    const accountLockedUntil = getAccountLockedUntil(user);
+    if (accountLockedUntil) {
+      return sendLockedResponse(res, accountLockedUntil);
+    }
+
+    if (!(await verifySecondFactor(user, { code, backupCode }))) {
+      const lockedUntil = await recordFailedLogin(req, user.email, user, 'invalid_2fa_code');
+      if (lockedUntil) {
+        return sendLockedResponse(res, lockedUntil);
+      }
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await sendAuthenticatedResponse(user, req, res);
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error logging in',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Start mandatory two-factor enrollment during login
+ * @route POST /api/auth/login/2fa/setup
+ */
+exports.loginTwoFactorSetup = async (req, res) => {
+  try {
+    const { twoFactorToken } = req.body || {};
+
+    const user = await getTwoFactorLoginUser(twoFactorToken, '2fa-setup');
+
+    if (!user || user.twoFactorEnabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Your login attempt has expired. Please log in again.'
+      });
+    }
+
+    const accountLockedUntil = getAccountLockedUntil(user);
+    if (accountLockedUntil) {
+      return sendLockedResponse(res, accountLockedUntil);
+    }
+
+    const { secret, otpauthUrl } = await startEnrollment(user);
+
+    res.status(200).json({
+      success: true,
+      data: { secret, otpauthUrl }
+    });
+  } catch (error) {
+    console.error('Two-factor login setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error setting up two-factor authentication',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Finish mandatory two-factor enrollment and complete the login
+ * @route POST /api/auth/login/2fa/enable
+ */
+exports.loginTwoFactorEnable = async (req, res) => {
+  try {
+    const { twoFactorToken, code } = req.body || {};
+
+    const user = await getTwoFactorLoginUser(twoFactorToken, '2fa-setup');
+
+    if (!user || user.twoFactorEnabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Your login attempt has expired. Please log in again.'
+      });
+    }
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Authentication code is required'
+      });
+    }
+
+    const accountLockedUntil = getAccountLockedUntil(user);
+    if (accountLockedUntil) {
+      return sendLockedResponse(res, accountLockedUntil);
+    }
+
+    const backupCodes = await completeEnrollment(user, code);
 
+    if (!backupCodes) {
+      // Wrong codes count towards the account lock, as at /login/2fa
+      const lockedUntil = await recordFailedLogin(req, user.email, user, 'invalid_2fa_setup_code');
+      if (lockedUntil) {
+        return sendLockedResponse(res, lockedUntil);
+      }
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await sendAuthenticatedResponse(user, req, res, { backupCodes });
+  } catch (error) {
+    console.error('Two-factor login enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error enabling two-factor authentication',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Login options for this deployment, so the login page can show the SSO
+ * button, hide the password form when it is switched off and hide signup
+ * when registration is closed
+ * @route GET /api/auth/login/methods
+ */
+exports.getLoginMethods = async (req, res) => {
+  try {
     res.status(200).json({
       success: true,
-      token,
       data: {
-        user: userData
+        password: isPasswordLoginEnabled(),
+        oidc: isOidcEnabled() ? { name: getProviderName() } : null,
+        registration: isPasswordLoginEnabled() ? await getRegistrationMode() : 'closed'
       }
     });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Get login methods error:', error);
     res.status(500).json({
       success: false,
-      message: 'Error logging in',
+      message: 'Error fetching login methods',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
 };
 
+/**
+ * Start single sign-on: redirect to the identity provider
+ * @route GET /api/auth/login/oidc
+ */
+exports.oidcLogin = async (req, res) => {
+  try {
+    if (!isOidcEnabled()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Single sign-on is not configured'
+      });
+    }
+
+    const { authorizationUrl, stateToken } = await createLoginRequest(req.query.returnTo);
+
+    setOidcStateCookie(res, stateToken, LOGIN_STATE_MINUTES * 60 * 1000);
+    res.redirect(authorizationUrl);
+  } catch (error) {
+    console.error('OIDC login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error starting single sign-on',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Finish single sign-on: verify the identity provider's response, sign the
+ * user in and send the browser back to the frontend. Failures land on the
+ * frontend login page with an error code. The identity provider is trusted to
+ * enforce its own second factor, so the app's 2FA step is not repeated.
+ * @route GET /api/auth/login/oidc/callback
+ */
+exports.oidcCallback = async (req, res) => {
+  const loginState = readLoginState(req.cookies && req.cookies[OIDC_STATE_COOKIE]);
+  clearOidcStateCookie(res);
+
+  let identity;
+  try {
+    if (!isOidcEnabled()) {
+      throw new OidcLoginError('not_configured', 'Single sign-on is not configured');
+    }
+
+    const ipLockedUntil = await getIpLockedUntil(req);
+    if (ipLockedUntil) {
+      throw new OidcLoginError('locked', LOCKED_MESSAGE);
+    }
+
+    identity = await completeLogin(req.query, loginState);
+    const user = await findOrProvisionUser(identity);
+
+    await recordSuccessfulLogin(req, user);
+    const { accessToken, refreshToken } = await createSession(user, req);
+    setAuthCookies(res, accessToken, refreshToken);
+
+    res.redirect(`${process.env.CLIENT_URL}${loginState.returnTo}`);
+  } catch (error) {
+    const code = error instanceof OidcLoginError ? error.code : 'sso_failed';
+    if (!(error instanceof OidcLoginError)) {
+      console.error('OIDC callback error:', error);
+    }
+
+    if (identity) {
+      try {
+        await recordFailedLogin(req, identity.email, null, `sso_${code}`, false);
+      } catch (logError) {
+        console.error('Failed to record SSO login attempt:', logError);
+      }
+    }
+
+    res.redirect(`${process.env.CLIENT_URL}/login?error=${encodeURIComponent(code)}`);
+  }
+};
+
 /**
  * Forgot password
  * @route POST /api/auth/forgot-password
@@ -171,16 +593,19 @@ exports.forgotPassword = async (req, res) => {
       where: { email }
     });
 
+    // Same answer whether or not the account exists
+    const response = {
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    };
+
     if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
+      return res.status(200).json(response);
     }
 
     // Generate reset token
     const resetToken = crypto.randomBytes(32).toString('hex');
-    const hashedToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+    const hashedToken = hashToken(resetToken);
     
     // Store token in user document with expiry (10 minutes)
     await prisma.user.update({
@@ -197,10 +622,7 @@ exports.forgotPassword = async (req, res) => {
     // Send reset URL via email
     await sendPasswordResetEmail(user.email, resetURL);
 
-    res.status(200).json({
-      success: true,
-      message: 'Password reset link sent to your email'
-    });
+    res.status(200).json(response);
   } catch (error) {
     console.error('Forgot password error:', error);
     res.status(500).json({
@@ -221,15 +643,15 @@ exports.resetPassword = async (req, res) => {
     // Get token from request body or query parameters instead of route params
     const token = req.body.token || req.query.token;
     
-    if (!token) {
+    if (!token || !password) {
       return res.status(400).json({
         success: false,
-        message: 'Reset token is required'
+        message: 'Reset token and new password are required'
       });
     }
 
     // Hash the reset token
-    const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+    const hashedToken = hashToken(token);
 
     // Find user by token
     const user = await prisma.user.findFirst({
@@ -248,26 +670,33 @@ exports.resetPassword = async (req, res) => {
       });
     }
 
+    const passwordErrors = await validatePassword(password, user);
+    if (passwordErrors.length > 0) {
+      return sendPasswordPolicyErrors(res, passwordErrors);
+    }
+
     // Hash the new password
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(password, salt);
+    const passwordData = await hashNewPassword(password, user);
 
-    // Update password
-    await prisma.user.update({
-      where: { id: user.id },
+    // Update password, conditional on the token so it can only be used once
+    const { count } = await prisma.user.updateMany({
+      where: { id: user.id, resetPasswordToken: hashedToken },
       data: {
-        password: hashedPassword,
+        ...passwordData,
         resetPasswordToken: null,
         resetPasswordExpires: null
       }
     });
 
-    // Create new JWT
-    const jwtToken = jwt.sign(
-      { id: user.id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
+    if (count === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token is invalid or has expired'
+      });
+    }
+
+    // Sign out everywhere in case the old password was compromised
+    await revokeAllSessions(user.id);
 
     res.status(200).json({
       status: 'success',
@@ -291,24 +720,75 @@ exports.verifyOtp = async (req, res) => {
   try {
     const { email, token } = req.body;
 
-    // Find user by verification token
-    const user = await prisma.user.findFirst({
+    if (!email || !token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email and verification token are required'
+      });
+    }
+
+    const user = await findUserAwaitingVerification(email);
+
+    if (!user || user.verificationTokenExpires < new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    // Count the attempt before checking it, so parallel guesses cannot exceed the limit
+    const { count } = await prisma.user.updateMany({
       where: {
-        email,
-        verificationToken: token,
-        verificationTokenExpires: {
-          gt: new Date()
-        }
-      }
+        id: user.id,
+        verificationToken: user.verificationToken,
+        verificationAttempts: { lt: MAX_OTP_ATTEMPTS }
+      },
+      data: { verificationAttempts: { increment: 1 } }
     });
 
-    if (!user) {
+    if (count === 0) {
+      return res.status(429).json({
+        success: false,
+        message: 'Too many incorrect attempts. Please request a new verification code.'
+      });
+    }
+
+    if (!matchesToken(token, user.verificationToken)) {
       return res.status(400).json({
         success: false,
         message: 'Invalid or expired verification token'
       });
     }
 
+    // Confirm a new address requested through PUT /me/email
+    if (user.pendingEmail === email) {
+      const emailTaken = await prisma.user.findUnique({
+        where: { email }
+      });
+
+      if (emailTaken) {
+        return res.status(400).json({
+          success: false,
+          message: 'Email is already taken by another user'
+        });
+      }
+
+      await prisma.user.update({
+        where: { id: user.id },
+        data: {
+          email,
+          pendingEmail: null,
+          verificationToken: null,
+          verificationTokenExpires: null
+        }
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Email address changed successfully'
+      });
+    }
+
     // Update user
     await prisma.user.update({
       where: { id: user.id },
@@ -319,6 +799,15 @@ exports.verifyOtp = async (req, res) => {
       }
     });
 
+    // Signups waiting for approval are welcomed by the approval email instead
+    if (user.approvalStatus === APPROVAL_STATUS.PENDING) {
+      return res.status(200).json({
+        success: true,
+        approvalRequired: true,
+        message: 'Email verified successfully. Your registration is awaiting approval by an administrator.'
+      });
+    }
+
     // Send welcome email
     await sendWelcomeEmail(user.email);
 
@@ -337,17 +826,308 @@ exports.verifyOtp = async (req, res) => {
 };
 
 /**
- * Logout user
- * @route GET /api/auth/logout
+ * Send a fresh verification code, replacing the previous one
+ * @route POST /api/auth/resend-otp
  */
-exports.logout = (req, res) => {
-  res.cookie('jwt', 'loggedout', {
-    expires: new Date(Date.now() + 10 * 1000),
-    httpOnly: true
-  });
+exports.resendOtp = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    const user = await findUserAwaitingVerification(email);
+
+    if (user) {
+      const { code, data } = createVerificationCode();
+
+      await prisma.user.update({
+        where: { id: user.id },
+        data
+      });
+
+      await sendVerificationEmail(email, code);
+    }
+
+    // Same answer either way, so the endpoint cannot be used to probe for accounts
+    res.status(200).json({
+      success: true,
+      message: 'If this email is waiting for verification, a new code has been sent'
+    });
+  } catch (error) {
+    console.error('Resend OTP error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error sending verification code',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Look up an invitation so the accept form can show who it is for
+ * @route GET /api/auth/invitations/:token
+ */
+exports.getInvitation = async (req, res) => {
+  try {
+    const user = await findInvitedUser(req.params.token);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation is invalid or has expired'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        email: user.email,
+        name: user.name,
+        role: user.role,
+        inviteExpires: user.inviteExpires
+      }
+    });
+  } catch (error) {
+    console.error('Get invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching invitation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Accept an invitation: set a password and activate the account
+ * @route POST /api/auth/invitations/accept
+ */
+exports.acceptInvitation = async (req, res) => {
+  try {
+    const { token, password, name } = req.body;
+
+    if (!password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is required'
+      });
+    }
+
+    const user = await findInvitedUser(token);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation is invalid or has expired'
+      });
+    }
+
+    const passwordErrors = await validatePassword(password, { email: user.email, name: name || user.name });
+    if (passwordErrors.length > 0) {
+      return sendPasswordPolicyErrors(res, passwordErrors);
+    }
+
+    // Hash the new password; the placeholder password is not kept in the history
+    const passwordData = await hashNewPassword(password);
+
+    // Conditional on the token ID so an invitation can only be used once
+    const { count } = await prisma.user.updateMany({
+      where: { id: user.id, inviteTokenId: user.inviteTokenId },
+      data: {
+        ...passwordData,
+        ...(name && { name }),
+        isActive: true,
+        isVerified: true,
+        inviteTokenId: null,
+        inviteExpires: null
+      }
+    });
+
+    if (count === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation is invalid or has expired'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation accepted. You can now log in.'
+    });
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error accepting invitation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Exchange a refresh token for a new access token
+ * @route POST /api/auth/refresh
+ */
+exports.refresh = async (req, res) => {
+  try {
+    const refreshToken = (req.cookies && req.cookies[REFRESH_TOKEN_COOKIE]) || (req.body && req.body.refreshToken);
+
+    if (!refreshToken) {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    const result = await rotateSession(refreshToken);
+
+    if (!result) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session is invalid or has expired. Please log in again.'
+      });
+    }
+
+    // Refresh also hands out a fresh CSRF token, so a reloaded frontend can recover it
+    const csrfToken = setAuthCookies(res, result.accessToken, result.refreshToken);
+
+    res.status(200).json({
+      success: true,
+      token: result.accessToken,
+      refreshToken: result.refreshToken,
+      csrfToken
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error refreshing session',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Logout user and revoke the current session
+ * @route POST /api/auth/logout
+ */
+exports.logout = async (req, res) => {
+  try {
+    // Identify the session from a verified access token, or else from the
+    // refresh token, which is only honoured when its secret matches
+    const refreshToken = (req.cookies && req.cookies[REFRESH_TOKEN_COOKIE]) || (req.body && req.body.refreshToken);
+
+    if (req.sessionId && req.user) {
+      await revokeSession(req.sessionId, req.user.id);
+    } else if (refreshToken) {
+      await revokeSessionByRefreshToken(refreshToken);
+    }
+  } catch (error) {
+    // Logging out should always clear the client, even if revocation fails
+    console.error('Logout error:', error);
+  }
+
+  clearAuthCookies(res);
   
   res.status(200).json({
     success: true,
     message: 'Logged out successfully'
   });
-};
\ No newline at end of file
+};
+
+/**
+ * Logout user from all devices
+ * @route POST /api/auth/logout-all
+ */
+exports.logoutAll = async (req, res) => {
+  try {
+    const count = await revokeAllSessions(req.user.id);
+
+    clearAuthCookies(res);
+
+    res.status(200).json({
+      success: true,
+      message: `Logged out of ${count} session(s)`
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error logging out of all devices',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * List the current user's active sessions
+ * @route GET /api/auth/sessions
+ */
+exports.getMySessions = async (req, res) => {
+  try {
+    const sessions = await prisma.session.findMany({
+      where: {
+        userId: req.user.id,
+        revokedAt: null,
+        expiresAt: { gt: new Date() }
+      },
+      select: {
+        id: true,
+        userAgent: true,
+        ipAddress: true,
+        createdAt: true,
+        lastUsedAt: true,
+        expiresAt: true
+      },
+      orderBy: { lastUsedAt: 'desc' }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: sessions.map(session => ({
+        ...session,
+        isCurrent: session.id === req.sessionId
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Revoke one of the current user's sessions
+ * @route DELETE /api/auth/sessions/:id
+ */
+exports.revokeMySession = async (req, res) => {
+  try {
+    const count = await revokeSession(req.params.id, req.user.id);
+
+    if (count === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking session',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
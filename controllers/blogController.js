@@ -1,7 +1,10 @@
 // controllers/blogController.js
-const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
+const prisma = require('./../utils/prisma');
 const cloudinary = require('cloudinary').v2;
+const { requestHasPermission, canReadUnpublished } = require('./../utils/permissions');
+const { statusOf, statusFilter, buildTransition, initialStatus, checkContentEdit, checkScheduleChange } = require('./../utils/editorialWorkflow');
+const { parseScheduleDates, visibleWhere, isVisible } = require('./../utils/contentSchedule');
+const contentRevisions = require('./../utils/contentRevisions');
 
 // Configure Cloudinary
 cloudinary.config({
@@ -18,6 +21,7 @@ exports.getAllBlogs = async (req, res) => {
       limit = 10,
       search = '',
       active,
+      status,
       category,
       featured,
       sortBy = 'createdAt',
@@ -31,9 +35,16 @@ exports.getAllBlogs = async (req, res) => {
     const isActive = active === 'true' ? true : active === 'false' ? false : undefined;
     const isFeatured = featured === 'true' ? true : featured === 'false' ? false : undefined;
 
+    // Only readers and writers see drafts and posts in review
+    const canReadDrafts = await canReadUnpublished(req, 'blog');
+
     // Build filter object
     const filter = {
       where: {
+        AND: [
+          ...(canReadDrafts ? [] : [visibleWhere('blog')]),
+          ...(status ? [statusFilter(status)] : [])
+        ],
         ...(search && {
           OR: [
             { title: { contains: search, mode: 'insensitive' } },
@@ -103,7 +114,7 @@ exports.getPublicBlogs = async (req, res) => {
     // Build filter object
     const filter = {
       where: {
-        isActive: true,
+        ...visibleWhere('blog'),
         ...(isFeatured !== undefined && { isFeatured }),
         ...(category && { category: { contains: category, mode: 'insensitive' } })
       },
@@ -151,7 +162,7 @@ exports.getFeaturedBlogs = async (req, res) => {
   try {
     const blogs = await prisma.blog.findMany({
       where: {
-        isActive: true,
+        ...visibleWhere('blog'),
         isFeatured: true
       },
       orderBy: {
@@ -183,7 +194,8 @@ exports.getBlogById = async (req, res) => {
       where: { id }
     });
 
-    if (!blog) {
+    // Unpublished posts are only visible to writers
+    if (!blog || (!isVisible('blog', blog) && !(await canReadUnpublished(req, 'blog')))) {
       return res.status(404).json({
         success: false,
         message: 'Blog not found'
@@ -233,7 +245,7 @@ exports.createBlog = async (req, res) => {
       content,
       category,
       isFeatured = false,
-      isActive = true
+      status
     } = req.body;
 
     // Validate required fields
@@ -244,6 +256,27 @@ exports.createBlog = async (req, res) => {
       });
     }
 
+    const schedule = parseScheduleDates(req.body);
+    if (schedule.error) {
+      return res.status(schedule.statusCode).json({
+        success: false,
+        message: schedule.error
+      });
+    }
+
+    // New posts start as drafts unless a publisher says otherwise
+    const workflow = initialStatus(status, {
+      canPublish: await requestHasPermission(req, 'blog:publish'),
+      userId: req.user.id,
+      publishAt: schedule.data.publishAt
+    });
+    if (workflow.error) {
+      return res.status(workflow.statusCode).json({
+        success: false,
+        message: workflow.error
+      });
+    }
+
     let pdfUrl = null;
 
     // Check if PDF file was uploaded
@@ -267,11 +300,16 @@ exports.createBlog = async (req, res) => {
         content,
         category,
         isFeatured: Boolean(isFeatured),
-        isActive: Boolean(isActive),
-        ...(pdfUrl && { pdfUrl })
+        ...schedule.data,
+        ...workflow.data,
+        ...(pdfUrl && { pdfUrl }),
+        authorId: req.user.id,
+        authorName: req.user.name
       }
     });
 
+    await contentRevisions.recordRevision('blog', blog, req.user);
+
     return res.status(201).json({
       success: true,
       data: blog,
@@ -295,8 +333,7 @@ exports.updateBlog = async (req, res) => {
       title,
       content,
       category,
-      isFeatured,
-      isActive
+      isFeatured
     } = req.body;
 
     // Check if blog exists
@@ -311,6 +348,24 @@ exports.updateBlog = async (req, res) => {
       });
     }
 
+    const canPublish = await requestHasPermission(req, 'blog:publish');
+    const editError = checkContentEdit(existingBlog, { canPublish });
+    if (editError) {
+      return res.status(editError.statusCode).json({
+        success: false,
+        message: editError.error
+      });
+    }
+
+    const schedule = parseScheduleDates(req.body, existingBlog);
+    const scheduleError = schedule.error ? schedule : checkScheduleChange(existingBlog, schedule.data, { canPublish });
+    if (scheduleError) {
+      return res.status(scheduleError.statusCode).json({
+        success: false,
+        message: scheduleError.error
+      });
+    }
+
     let pdfUrl = existingBlog.pdfUrl;
 
     // Check if new PDF file was uploaded
@@ -336,11 +391,13 @@ exports.updateBlog = async (req, res) => {
         ...(content !== undefined && { content }),
         ...(category !== undefined && { category }),
         ...(isFeatured !== undefined && { isFeatured }),
-        ...(isActive !== undefined && { isActive }),
-        ...(pdfUrl !== existingBlog.pdfUrl && { pdfUrl })
+        ...(pdfUrl !== existingBlog.pdfUrl && { pdfUrl }),
+        ...schedule.data
       }
     });
 
+    await contentRevisions.recordRevision('blog', updatedBlog, req.user, { previous: existingBlog });
+
     return res.status(200).json({
       success: true,
       data: updatedBlog,
@@ -377,6 +434,7 @@ exports.deleteBlog = async (req, res) => {
     await prisma.blog.delete({
       where: { id }
     });
+    await contentRevisions.deleteRevisions('blog', id);
 
     return res.status(200).json({
       success: true,
@@ -409,12 +467,16 @@ exports.toggleBlogStatus = async (req, res) => {
       });
     }
 
-    // Toggle status
+    // Toggle status: published posts are archived, anything else is published
+    const { data } = buildTransition(
+      existingBlog,
+      statusOf(existingBlog) === 'published' ? 'archived' : 'published',
+      { canPublish: true, userId: req.user.id }
+    );
+
     const updatedBlog = await prisma.blog.update({
       where: { id },
-      data: {
-        isActive: !existingBlog.isActive
-      }
+      data
     });
 
     return res.status(200).json({
@@ -432,6 +494,72 @@ exports.toggleBlogStatus = async (req, res) => {
   }
 };
 
+// Move a blog through the editorial workflow
+exports.updateBlogStatus = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, reason } = req.body || {};
+
+    if (!status) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status is required'
+      });
+    }
+
+    // Check if blog exists
+    const existingBlog = await prisma.blog.findUnique({
+      where: { id }
+    });
+
+    if (!existingBlog) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blog not found'
+      });
+    }
+
+    // A publishAt may be sent along when scheduling
+    const schedule = parseScheduleDates(req.body, existingBlog);
+    if (schedule.error) {
+      return res.status(schedule.statusCode).json({
+        success: false,
+        message: schedule.error
+      });
+    }
+
+    const transition = buildTransition({ ...existingBlog, ...schedule.data }, status, {
+      canPublish: await requestHasPermission(req, 'blog:publish'),
+      userId: req.user.id,
+      reason
+    });
+    if (transition.error) {
+      return res.status(transition.statusCode).json({
+        success: false,
+        message: transition.error
+      });
+    }
+
+    const updatedBlog = await prisma.blog.update({
+      where: { id },
+      data: { ...schedule.data, ...transition.data }
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: updatedBlog,
+      message: `Blog moved to ${status}`
+    });
+  } catch (error) {
+    console.error('Error updating blog status:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error updating blog status',
+      error: error.message
+    });
+  }
+};
+
 // Toggle featured status
 exports.toggleFeaturedStatus = async (req, res) => {
   try {
@@ -471,3 +599,10 @@ exports.toggleFeaturedStatus = async (req, res) => {
     });
   }
 };
+
+// Revision history: list, get one, compare and restore
+const blogRevisions = contentRevisions.revisionHandlers('blog');
+exports.getBlogRevisions = blogRevisions.getRevisions;
+exports.getBlogRevision = blogRevisions.getRevision;
+exports.diffBlogRevisions = blogRevisions.diffRevisions;
+exports.restoreBlogRevision = blogRevisions.restoreRevision;
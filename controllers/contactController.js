@@ -1,5 +1,10 @@
 // controllers/contactController.js
-const { sendContactFormEmail, sendContactAcknowledgementEmail } = require('../utils/email');
+const prisma = require('./../utils/prisma');
+const {
+  sendContactFormEmail,
+  sendContactAcknowledgementEmail,
+  sendContactReplyEmail
+} = require('../utils/email');
 
 /**
  * Handle contact form submission
@@ -34,21 +39,401 @@ exports.submitContactForm = async (req, res) => {
       message
     };
     
+    // Store the message first so it survives an email outage
+    const contactMessage = await prisma.contactMessage.create({
+      data: {
+        ...contactData,
+        phone: phone || null,
+        statusHistory: [{ status: 'NEW', changedAt: new Date() }]
+      }
+    });
+    
     // Send both emails concurrently for better performance
-    await Promise.all([
+    const [adminResult, acknowledgementResult] = await Promise.allSettled([
       // Send email to admin
       sendContactFormEmail(contactData),
       // Send acknowledgement email to user
       sendContactAcknowledgementEmail(contactData)
     ]);
     
+    if (adminResult.status === 'fulfilled') {
+      await prisma.contactMessage.update({
+        where: { id: contactMessage.id },
+        data: { adminNotified: true }
+      });
+    } else {
+      console.error('Contact form admin notification failed:', adminResult.reason);
+    }
+    
+    if (acknowledgementResult.status === 'rejected') {
+      console.error('Contact form acknowledgement failed:', acknowledgementResult.reason);
+    }
+    
     res.status(200).json({
       success: true,
-      message: `Dear ${firstName}, Your message has been sent successfully. You will receive a confirmation email shortly.`
+      message: acknowledgementResult.status === 'fulfilled'
+        ? `Dear ${firstName}, Your message has been sent successfully. You will receive a confirmation email shortly.`
+        : `Dear ${firstName}, Your message has been received. We will get back to you as soon as possible.`
     });
   } catch (error) {
     console.error('Contact form submission error:', error);
     
+    res.status(500).json({
+      success: false,
+      message: 'Error sending your message. Please try again.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Fields returned for the user a message is assigned to
+const assigneeSelect = {
+  id: true,
+  name: true,
+  email: true
+};
+
+/**
+ * Attach the assigned user to each contact message
+ * @param {Array} messages - Contact message records
+ */
+const withAssignees = async (messages) => {
+  const assigneeIds = [...new Set(messages.map(message => message.assignedToId).filter(Boolean))];
+  const assignees = assigneeIds.length
+    ? await prisma.user.findMany({ where: { id: { in: assigneeIds } }, select: assigneeSelect })
+    : [];
+
+  return messages.map(message => ({
+    ...message,
+    assignedTo: assignees.find(user => user.id === message.assignedToId) || null
+  }));
+};
+
+/**
+ * Move a contact message to a new status and record it in the history
+ * @param {String} id - Contact message ID
+ * @param {String} status - New status
+ * @param {Object} req - Express request (for the acting user and optional note)
+ */
+const changeStatus = (id, status, req) => {
+  return prisma.contactMessage.update({
+    where: { id },
+    data: {
+      status,
+      statusHistory: {
+        push: {
+          status,
+          changedById: req.user.id,
+          note: (req.body && req.body.note) || null,
+          changedAt: new Date()
+        }
+      }
+    }
+  });
+};
+
+/**
+ * Get all contact messages with filtering and pagination
+ * @route GET /api/contact/messages
+ */
+exports.getContactMessages = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status, assignedTo, search } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    
+    // Build where clause - archived messages are hidden unless asked for
+    const where = {};
+    where.status = status ? status : { not: 'ARCHIVED' };
+    if (assignedTo === 'me') where.assignedToId = req.user.id;
+    else if (assignedTo === 'none') where.assignedToId = null;
+    else if (assignedTo) where.assignedToId = assignedTo;
+    if (search) {
+      where.OR = [
+        { firstName: { contains: search, mode: 'insensitive' } },
+        { lastName: { contains: search, mode: 'insensitive' } },
+        { email: { contains: search, mode: 'insensitive' } },
+        { message: { contains: search, mode: 'insensitive' } }
+      ];
+    }
+    
+    const [messages, total] = await Promise.all([
+      prisma.contactMessage.findMany({
+        where,
+        skip,
+        take: parseInt(limit),
+        orderBy: { createdAt: 'desc' }
+      }),
+      prisma.contactMessage.count({ where })
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        messages: await withAssignees(messages),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get contact messages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching contact messages',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get a contact message by ID and mark it as read
+ * @route GET /api/contact/messages/:id
+ */
+exports.getContactMessageById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    let contactMessage = await prisma.contactMessage.findUnique({
+      where: { id }
+    });
+    
+    if (!contactMessage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contact message not found'
+      });
+    }
+    
+    // Opening a new message marks it as read
+    if (contactMessage.status === 'NEW') {
+      contactMessage = await changeStatus(id, 'READ', req);
+    }
+    
+    const [messageWithAssignee] = await withAssignees([contactMessage]);
+    
+    res.status(200).json({
+      success: true,
+      data: messageWithAssignee
+    });
+  } catch (error) {
+    console.error('Get contact message error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching contact message',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Build a handler that moves a contact message to the given status
+ * @param {String} status - Target status
+ * @param {String} label - Past-tense verb used in the response message
+ */
+const statusHandler = (status, label) => async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const existingMessage = await prisma.contactMessage.findUnique({
+      where: { id }
+    });
+    
+    if (!existingMessage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contact message not found'
+      });
+    }
+    
+    if (existingMessage.status === status) {
+      return res.status(400).json({
+        success: false,
+        message: `Contact message is already ${label}`
+      });
+    }
+    
+    const updatedMessage = await changeStatus(id, status, req);
+    
+    res.status(200).json({
+      success: true,
+      message: `Contact message ${label} successfully`,
+      data: updatedMessage
+    });
+  } catch (error) {
+    console.error(`Contact message ${status.toLowerCase()} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating contact message',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Mark a contact message as handled
+ * @route PATCH /api/contact/messages/:id/handled
+ */
+exports.markContactMessageHandled = statusHandler('HANDLED', 'marked as handled');
+
+/**
+ * Archive a contact message
+ * @route PATCH /api/contact/messages/:id/archive
+ */
+exports.archiveContactMessage = statusHandler('ARCHIVED', 'archived');
+
+/**
+ * Move a handled or archived contact message back to the open inbox
+ * @route PATCH /api/contact/messages/:id/reopen
+ */
+exports.reopenContactMessage = statusHandler('READ', 'reopened');
+
+/**
+ * Assign a contact message to a user (or unassign with a null userId)
+ * @route PATCH /api/contact/messages/:id/assign
+ */
+exports.assignContactMessage = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const body = req.body || {};
+    const { userId } = body;
+    
+    // userId is required so an empty request cannot unassign by accident
+    if (!('userId' in body) || (userId !== null && typeof userId !== 'string')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a userId, or null to unassign'
+      });
+    }
+    
+    const existingMessage = await prisma.contactMessage.findUnique({
+      where: { id }
+    });
+    
+    if (!existingMessage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contact message not found'
+      });
+    }
+    
+    let assignee = null;
+    if (userId) {
+      assignee = await prisma.user.findUnique({
+        where: { id: userId },
+        select: { ...assigneeSelect, isActive: true }
+      });
+      
+      if (!assignee || !assignee.isActive) {
+        return res.status(400).json({
+          success: false,
+          message: 'Assignee must be an active user'
+        });
+      }
+    }
+    
+    const updatedMessage = await prisma.contactMessage.update({
+      where: { id },
+      data: {
+        assignedToId: assignee ? assignee.id : null,
+        statusHistory: {
+          push: {
+            status: existingMessage.status,
+            changedById: req.user.id,
+            note: assignee ? `Assigned to ${assignee.name || assignee.email}` : 'Unassigned',
+            changedAt: new Date()
+          }
+        }
+      }
+    });
+    
+    const [messageWithAssignee] = await withAssignees([updatedMessage]);
+    
+    res.status(200).json({
+      success: true,
+      message: assignee ? 'Contact message assigned successfully' : 'Contact message unassigned successfully',
+      data: messageWithAssignee
+    });
+  } catch (error) {
+    console.error('Assign contact message error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error assigning contact message',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Reply to a contact message by email and store the reply in its thread
+ * @route POST /api/contact/messages/:id/reply
+ */
+exports.replyToContactMessage = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { message, subject } = req.body || {};
+    
+    if (typeof message !== 'string' || !message.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reply message is required'
+      });
+    }
+    
+    if (subject !== undefined && typeof subject !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Reply subject must be text'
+      });
+    }
+    
+    const existingMessage = await prisma.contactMessage.findUnique({
+      where: { id }
+    });
+    
+    if (!existingMessage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contact message not found'
+      });
+    }
+    
+    const reply = {
+      message: message.trim(),
+      subject: subject || 'Re: Your message to Alenalki',
+      senderName: req.user.name
+    };
+    
+    const info = await sendContactReplyEmail(existingMessage, reply);
+    
+    const updatedMessage = await prisma.contactMessage.update({
+      where: { id },
+      data: {
+        replies: {
+          push: {
+            message: reply.message,
+            subject: reply.subject,
+            sentById: req.user.id,
+            sentByName: req.user.name,
+            emailId: (info && info.messageId) || null,
+            sentAt: new Date()
+          }
+        }
+      }
+    });
+    
+    const [messageWithAssignee] = await withAssignees([updatedMessage]);
+    
+    res.status(200).json({
+      success: true,
+      message: `Reply sent to ${existingMessage.email}`,
+      data: messageWithAssignee
+    });
+  } catch (error) {
+    console.error('Reply to contact message error:', error);
+    
     // Check if it's an email sending error
     if (error.code === 'EAUTH' || error.code === 'ECONNECTION') {
       return res.status(500).json({
@@ -59,8 +444,8 @@ exports.submitContactForm = async (req, res) => {
     
     res.status(500).json({
       success: false,
-      message: 'Error sending your message. Please try again.',
+      message: 'Error sending reply',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
-};
\ No newline at end of file
+};
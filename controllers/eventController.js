@@ -1,5 +1,7 @@
 // controllers/eventController.js
 const prisma = require('./../utils/prisma');
+const { canReadUnpublished } = require('./../utils/permissions');
+const { parseScheduleDates, visibleWhere, isVisible, scheduleVisibility } = require('./../utils/contentSchedule');
 
 /**
  * Create a new event
@@ -17,6 +19,14 @@ exports.createEvent = async (req, res) => {
       });
     }
 
+    const schedule = parseScheduleDates(req.body);
+    if (schedule.error) {
+      return res.status(schedule.statusCode).json({
+        success: false,
+        message: schedule.error
+      });
+    }
+
     // Create event
     const event = await prisma.event.create({
       data: {
@@ -25,7 +35,10 @@ exports.createEvent = async (req, res) => {
         date: new Date(date),
         location,
         isOnline: Boolean(isOnline),
-        isActive: isActive !== undefined ? Boolean(isActive) : true,
+        ...scheduleVisibility({}, {
+          ...schedule.data,
+          isActive: isActive !== undefined ? Boolean(isActive) : true
+        }),
         imageUrl
       }
     });
@@ -60,6 +73,11 @@ exports.getEvents = async (req, res) => {
     if (isActive !== undefined) {
       where.isActive = isActive === 'true';
     }
+
+    // Hidden and scheduled events are only listed for readers and managers
+    if (!(await canReadUnpublished(req, 'events'))) {
+      where.AND = [visibleWhere('event')];
+    }
     
     // Filter by date for upcoming or past events
     const now = new Date();
@@ -123,7 +141,7 @@ exports.getEventById = async (req, res) => {
       where: { id }
     });
     
-    if (!event) {
+    if (!event || (!isVisible('event', event) && !(await canReadUnpublished(req, 'events')))) {
       return res.status(404).json({
         success: false,
         message: 'Event not found'
@@ -164,6 +182,14 @@ exports.updateEvent = async (req, res) => {
         message: 'Event not found'
       });
     }
+
+    const schedule = parseScheduleDates(req.body, eventExists);
+    if (schedule.error) {
+      return res.status(schedule.statusCode).json({
+        success: false,
+        message: schedule.error
+      });
+    }
     
     // Update event
     const updatedEvent = await prisma.event.update({
@@ -174,7 +200,10 @@ exports.updateEvent = async (req, res) => {
         ...(date !== undefined && { date: new Date(date) }),
         ...(location !== undefined && { location }),
         ...(isOnline !== undefined && { isOnline: Boolean(isOnline) }),
-        ...(isActive !== undefined && { isActive: Boolean(isActive) }),
+        ...scheduleVisibility(eventExists, {
+          ...schedule.data,
+          isActive: isActive !== undefined ? Boolean(isActive) : undefined
+        }),
         ...(imageUrl !== undefined && { imageUrl })
       }
     });
@@ -213,12 +242,10 @@ exports.toggleEventStatus = async (req, res) => {
       });
     }
     
-    // Toggle status
+    // Toggle status; cancels a pending publishAt
     const updatedEvent = await prisma.event.update({
       where: { id },
-      data: {
-        isActive: !event.isActive
-      }
+      data: scheduleVisibility(event, { isActive: !event.isActive })
     });
     
     res.status(200).json({
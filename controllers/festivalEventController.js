@@ -1,5 +1,6 @@
-const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
+const prisma = require('./../utils/prisma');
+const { canReadUnpublished } = require('./../utils/permissions');
+const { parseScheduleDates, visibleWhere, isVisible, scheduleVisibility } = require('./../utils/contentSchedule');
 
 /**
  * Create a new festival event
@@ -17,6 +18,14 @@ exports.createFestivalEvent = async (req, res) => {
       });
     }
 
+    const schedule = parseScheduleDates(req.body);
+    if (schedule.error) {
+      return res.status(schedule.statusCode).json({
+        success: false,
+        message: schedule.error
+      });
+    }
+
     const festivalEvent = await prisma.festivalEvent.create({
       data: {
         title,
@@ -24,7 +33,10 @@ exports.createFestivalEvent = async (req, res) => {
         date: new Date(date),
         location,
         isOnline: isOnline || false,
-        isActive: isActive !== undefined ? isActive : true,
+        ...scheduleVisibility({}, {
+          ...schedule.data,
+          isActive: isActive !== undefined ? isActive : true
+        }),
         imageUrl
       }
     });
@@ -82,6 +94,11 @@ exports.getFestivalEvents = async (req, res) => {
       where.isActive = active === 'true';
     }
 
+    // Hidden and scheduled events are only listed for readers and managers
+    if (!(await canReadUnpublished(req, 'festival-events'))) {
+      where.AND = [visibleWhere('festivalEvent')];
+    }
+
     // Date filters
     const now = new Date();
     
@@ -147,10 +164,10 @@ exports.getPublicFestivalEvents = async (req, res) => {
 
     const now = new Date();
     
-    // Get only active and upcoming events
+    // Get only visible and upcoming events
     const festivalEvents = await prisma.festivalEvent.findMany({
       where: {
-        isActive: true,
+        ...visibleWhere('festivalEvent', now),
         date: { gte: now }
       },
       orderBy: { date: 'asc' },
@@ -184,7 +201,7 @@ exports.getFestivalEventById = async (req, res) => {
       where: { id }
     });
 
-    if (!festivalEvent) {
+    if (!festivalEvent || (!isVisible('festivalEvent', festivalEvent) && !(await canReadUnpublished(req, 'festival-events')))) {
       return res.status(404).json({
         success: false,
         message: 'Festival event not found'
@@ -227,6 +244,14 @@ exports.updateFestivalEvent = async (req, res) => {
       });
     }
 
+    const schedule = parseScheduleDates(req.body, existingEvent);
+    if (schedule.error) {
+      return res.status(schedule.statusCode).json({
+        success: false,
+        message: schedule.error
+      });
+    }
+
     // Update event
     const updatedEvent = await prisma.festivalEvent.update({
       where: { id },
@@ -236,7 +261,7 @@ exports.updateFestivalEvent = async (req, res) => {
         ...(date && { date: new Date(date) }),
         ...(location !== undefined && { location }),
         ...(isOnline !== undefined && { isOnline }),
-        ...(isActive !== undefined && { isActive }),
+        ...scheduleVisibility(existingEvent, { ...schedule.data, isActive }),
         ...(imageUrl !== undefined && { imageUrl })
       }
     });
@@ -276,12 +301,10 @@ exports.toggleFestivalEventStatus = async (req, res) => {
       });
     }
 
-    // Toggle status
+    // Toggle status; cancels a pending publishAt
     const updatedEvent = await prisma.festivalEvent.update({
       where: { id },
-      data: {
-        isActive: !existingEvent.isActive
-      }
+      data: scheduleVisibility(existingEvent, { isActive: !existingEvent.isActive })
     });
 
     return res.status(200).json({
@@ -0,0 +1,146 @@
+// controllers/jobController.js
+const { purgeExpiredDeletions } = require('../utils/userDeletion');
+const { processDormantAccounts } = require('../utils/dormantAccounts');
+const contentSchedule = require('../utils/contentSchedule');
+const { resumeCampaigns } = require('../utils/campaignDelivery');
+
+/**
+ * Make user deletions permanent once their restore window has passed
+ * @route GET /api/v1/jobs/purge-deleted-users
+ */
+exports.purgeDeletedUsers = async (req, res) => {
+  try {
+    const purged = await purgeExpiredDeletions();
+
+    res.status(200).json({
+      success: true,
+      data: { purged }
+    });
+  } catch (error) {
+    console.error('Purge deleted users job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error purging deleted users',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Warn the owners of unused accounts, then deactivate them
+ * @route GET /api/v1/jobs/deactivate-dormant-users
+ */
+exports.deactivateDormantUsers = async (req, res) => {
+  try {
+    const { warned, deactivated } = await processDormantAccounts();
+
+    res.status(200).json({
+      success: true,
+      data: { warned, deactivated }
+    });
+  } catch (error) {
+    console.error('Deactivate dormant users job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deactivating dormant users',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Publish and unpublish news, blogs and events whose time has come, then
+ * ask the frontend to revalidate its cache.
+ *
+ * vercel.json runs this daily because the Vercel Hobby plan only allows
+ * daily crons. API reads show and hide due items on time regardless, but
+ * the revalidation webhook only fires when this runs, so cached frontend
+ * pages can show an item up to a day past its unpublishAt, or leave out one
+ * that was just published. Deployments that need timely cache invalidation
+ * must call this more often: on a Pro plan by running the Vercel cron every
+ * five minutes, otherwise from an external scheduler with CRON_SECRET as the
+ * bearer token.
+ * @route GET /api/v1/jobs/apply-content-schedules
+ */
+exports.applyContentSchedules = async (req, res) => {
+  try {
+    const { published, unpublished, revalidated } = await contentSchedule.applyContentSchedules();
+
+    res.status(200).json({
+      success: true,
+      data: { published, unpublished, revalidated }
+    });
+  } catch (error) {
+    console.error('Apply content schedules job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error applying content schedules',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Carry on newsletter campaigns whose send stopped before reaching everyone.
+ * Each run only gets one CAMPAIGN_SEND_BUDGET_MS slice per campaign, and
+ * vercel.json runs it daily (the Hobby plan limit), so this is a fallback:
+ * clients finish a send by calling the send endpoint again while it answers
+ * 202.
+ * @route GET /api/v1/jobs/resume-campaign-sends
+ */
+exports.resumeCampaignSends = async (req, res) => {
+  try {
+    const { resumed, finished } = await resumeCampaigns();
+
+    res.status(200).json({
+      success: true,
+      data: { resumed, finished }
+    });
+  } catch (error) {
+    console.error('Resume campaign sends job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resuming campaign sends',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Content pull for integrations such as the frontend build: apply due
+ * schedules and ask the frontend to refresh its pages. Body: { models },
+ * optional, any of news, blog, event and festivalEvent.
+ * @route POST /api/v1/content/pull
+ */
+exports.pullContent = async (req, res) => {
+  try {
+    const { models } = req.body || {};
+
+    if (models !== undefined && (
+      !Array.isArray(models) || models.length === 0 ||
+      models.some(model => !contentSchedule.CONTENT_MODELS.includes(model))
+    )) {
+      return res.status(400).json({
+        success: false,
+        message: `Models must be a list of: ${contentSchedule.CONTENT_MODELS.join(', ')}`
+      });
+    }
+
+    const { published, unpublished, revalidated } = await contentSchedule.pullContent(models);
+
+    res.status(200).json({
+      success: true,
+      message: revalidated
+        ? 'Content pull requested'
+        : 'Schedules applied, but CONTENT_REVALIDATE_URL is not set so no pull was requested',
+      data: { published, unpublished, revalidated }
+    });
+  } catch (error) {
+    console.error('Content pull error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error requesting content pull',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
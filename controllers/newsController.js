@@ -1,7 +1,10 @@
 // controllers/newsController.js
-const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
+const prisma = require('./../utils/prisma');
 const cloudinary = require('cloudinary').v2;
+const { requestHasPermission, canReadUnpublished } = require('./../utils/permissions');
+const { statusOf, statusFilter, buildTransition, initialStatus, checkContentEdit, checkScheduleChange } = require('./../utils/editorialWorkflow');
+const { parseScheduleDates, visibleWhere, isVisible } = require('./../utils/contentSchedule');
+const contentRevisions = require('./../utils/contentRevisions');
 
 // Get all news with filtering and pagination
 exports.getAllNews = async (req, res) => {
@@ -11,6 +14,7 @@ exports.getAllNews = async (req, res) => {
       limit = 10,
       search = '',
       active,
+      status,
       category,
       trending,
       sortBy = 'createdAt',
@@ -24,9 +28,16 @@ exports.getAllNews = async (req, res) => {
     const isActive = active === 'true' ? true : active === 'false' ? false : undefined;
     const isTrending = trending === 'true' ? true : trending === 'false' ? false : undefined;
 
+    // Only readers and writers see drafts and items in review
+    const canReadDrafts = await canReadUnpublished(req, 'news');
+
     // Build filter object
     const filter = {
       where: {
+        AND: [
+          ...(canReadDrafts ? [] : [visibleWhere('news')]),
+          ...(status ? [statusFilter(status)] : [])
+        ],
         ...(search && {
           OR: [
             { title: { contains: search, mode: 'insensitive' } },
@@ -96,7 +107,7 @@ exports.getPublicNews = async (req, res) => {
     // Build filter object
     const filter = {
       where: {
-        isActive: true,
+        ...visibleWhere('news'),
         ...(isTrendingValue !== undefined && { isTrending: isTrendingValue }),
         ...(category && { category: { contains: category, mode: 'insensitive' } })
       },
@@ -144,7 +155,7 @@ exports.getTrendingNews = async (req, res) => {
   try {
     const news = await prisma.news.findMany({
       where: {
-        isActive: true,
+        ...visibleWhere('news'),
         isTrending: true
       },
       orderBy: {
@@ -176,7 +187,8 @@ exports.getNewsById = async (req, res) => {
       where: { id }
     });
 
-    if (!news) {
+    // Unpublished items are only visible to writers
+    if (!news || (!isVisible('news', news) && !(await canReadUnpublished(req, 'news')))) {
       return res.status(404).json({
         success: false,
         message: 'News not found'
@@ -224,7 +236,7 @@ exports.createNews = async (req, res) => {
       content,
       category,
       isTrending = false,
-      isActive = true
+      status
     } = req.body;
 
     // Validate required fields
@@ -235,6 +247,27 @@ exports.createNews = async (req, res) => {
       });
     }
 
+    const schedule = parseScheduleDates(req.body);
+    if (schedule.error) {
+      return res.status(schedule.statusCode).json({
+        success: false,
+        message: schedule.error
+      });
+    }
+
+    // New items start as drafts unless a publisher says otherwise
+    const workflow = initialStatus(status, {
+      canPublish: await requestHasPermission(req, 'news:publish'),
+      userId: req.user.id,
+      publishAt: schedule.data.publishAt
+    });
+    if (workflow.error) {
+      return res.status(workflow.statusCode).json({
+        success: false,
+        message: workflow.error
+      });
+    }
+
     // Handle image upload if present
     let imageUrl = null;
     if (req.file) {
@@ -256,11 +289,16 @@ exports.createNews = async (req, res) => {
         content,
         category,
         isTrending: Boolean(isTrending),
-        isActive: Boolean(isActive),
-        imageUrl
+        ...schedule.data,
+        ...workflow.data,
+        imageUrl,
+        authorId: req.user.id,
+        authorName: req.user.name
       }
     });
 
+    await contentRevisions.recordRevision('news', news, req.user);
+
     return res.status(201).json({
       success: true,
       data: news,
@@ -284,8 +322,7 @@ exports.updateNews = async (req, res) => {
       title,
       content,
       category,
-      isTrending,
-      isActive
+      isTrending
     } = req.body;
 
     // Check if news exists
@@ -300,6 +337,24 @@ exports.updateNews = async (req, res) => {
       });
     }
 
+    const canPublish = await requestHasPermission(req, 'news:publish');
+    const editError = checkContentEdit(existingNews, { canPublish });
+    if (editError) {
+      return res.status(editError.statusCode).json({
+        success: false,
+        message: editError.error
+      });
+    }
+
+    const schedule = parseScheduleDates(req.body, existingNews);
+    const scheduleError = schedule.error ? schedule : checkScheduleChange(existingNews, schedule.data, { canPublish });
+    if (scheduleError) {
+      return res.status(scheduleError.statusCode).json({
+        success: false,
+        message: scheduleError.error
+      });
+    }
+
     // Handle image upload if present
     let imageUrl = undefined;
     if (req.file) {
@@ -323,11 +378,13 @@ exports.updateNews = async (req, res) => {
         ...(content !== undefined && { content }),
         ...(category !== undefined && { category }),
         ...(isTrending !== undefined && { isTrending }),
-        ...(isActive !== undefined && { isActive }),
-        ...(imageUrl !== undefined && { imageUrl })
+        ...(imageUrl !== undefined && { imageUrl }),
+        ...schedule.data
       }
     });
 
+    await contentRevisions.recordRevision('news', updatedNews, req.user, { previous: existingNews });
+
     return res.status(200).json({
       success: true,
       data: updatedNews,
@@ -364,6 +421,7 @@ exports.deleteNews = async (req, res) => {
     await prisma.news.delete({
       where: { id }
     });
+    await contentRevisions.deleteRevisions('news', id);
 
     return res.status(200).json({
       success: true,
@@ -396,12 +454,16 @@ exports.toggleNewsStatus = async (req, res) => {
       });
     }
 
-    // Toggle status
+    // Toggle status: published items are archived, anything else is published
+    const { data } = buildTransition(
+      existingNews,
+      statusOf(existingNews) === 'published' ? 'archived' : 'published',
+      { canPublish: true, userId: req.user.id }
+    );
+
     const updatedNews = await prisma.news.update({
       where: { id },
-      data: {
-        isActive: !existingNews.isActive
-      }
+      data
     });
 
     return res.status(200).json({
@@ -419,6 +481,72 @@ exports.toggleNewsStatus = async (req, res) => {
   }
 };
 
+// Move news through the editorial workflow
+exports.updateNewsStatus = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, reason } = req.body || {};
+
+    if (!status) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status is required'
+      });
+    }
+
+    // Check if news exists
+    const existingNews = await prisma.news.findUnique({
+      where: { id }
+    });
+
+    if (!existingNews) {
+      return res.status(404).json({
+        success: false,
+        message: 'News not found'
+      });
+    }
+
+    // A publishAt may be sent along when scheduling
+    const schedule = parseScheduleDates(req.body, existingNews);
+    if (schedule.error) {
+      return res.status(schedule.statusCode).json({
+        success: false,
+        message: schedule.error
+      });
+    }
+
+    const transition = buildTransition({ ...existingNews, ...schedule.data }, status, {
+      canPublish: await requestHasPermission(req, 'news:publish'),
+      userId: req.user.id,
+      reason
+    });
+    if (transition.error) {
+      return res.status(transition.statusCode).json({
+        success: false,
+        message: transition.error
+      });
+    }
+
+    const updatedNews = await prisma.news.update({
+      where: { id },
+      data: { ...schedule.data, ...transition.data }
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: updatedNews,
+      message: `News moved to ${status}`
+    });
+  } catch (error) {
+    console.error('Error updating news status:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error updating news status',
+      error: error.message
+    });
+  }
+};
+
 // Toggle trending status
 exports.toggleTrendingStatus = async (req, res) => {
   try {
@@ -458,3 +586,10 @@ exports.toggleTrendingStatus = async (req, res) => {
     });
   }
 };
+
+// Revision history: list, get one, compare and restore
+const newsRevisions = contentRevisions.revisionHandlers('news');
+exports.getNewsRevisions = newsRevisions.getRevisions;
+exports.getNewsRevision = newsRevisions.getRevision;
+exports.diffNewsRevisions = newsRevisions.diffRevisions;
+exports.restoreNewsRevision = newsRevisions.restoreRevision;
@@ -0,0 +1,394 @@
+// controllers/newsletterCampaignController.js
+const prisma = require('./../utils/prisma');
+const {
+    renderNewsletter,
+    sendNewsletterTestEmail
+} = require('../utils/email');
+const { claimCampaign, runCampaign } = require('../utils/campaignDelivery');
+
+// Campaigns can only be edited or deleted while nobody has received them
+const EDITABLE_STATUSES = ['DRAFT', 'FAILED'];
+
+/**
+ * Create a draft newsletter campaign
+ * @route POST /api/v1/newsletter/campaigns
+ */
+exports.createCampaign = async (req, res) => {
+    try {
+        const { subject, previewText, content } = req.body;
+
+        // Validate required fields
+        if (!subject || !content) {
+            return res.status(400).json({
+                success: false,
+                message: 'Subject and content are required'
+            });
+        }
+
+        const campaign = await prisma.newsletterCampaign.create({
+            data: {
+                subject,
+                previewText: previewText || null,
+                content,
+                createdById: req.user.id
+            }
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Campaign draft created successfully',
+            data: campaign
+        });
+    } catch (error) {
+        console.error('Create campaign error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error creating campaign',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Get all campaigns with pagination
+ * @route GET /api/v1/newsletter/campaigns
+ */
+exports.getCampaigns = async (req, res) => {
+    try {
+        const { page = 1, limit = 10, status, search } = req.query;
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        // Build where clause
+        const where = {};
+        if (status) where.status = status;
+        if (search) {
+            where.subject = { contains: search, mode: 'insensitive' };
+        }
+
+        const [campaigns, total] = await Promise.all([
+            prisma.newsletterCampaign.findMany({
+                where,
+                skip,
+                take: parseInt(limit),
+                orderBy: { createdAt: 'desc' }
+            }),
+            prisma.newsletterCampaign.count({ where })
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                campaigns,
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    pages: Math.ceil(total / parseInt(limit))
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Get campaigns error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching campaigns',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Get campaign by ID
+ * @route GET /api/v1/newsletter/campaigns/:id
+ */
+exports.getCampaignById = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const campaign = await prisma.newsletterCampaign.findUnique({
+            where: { id }
+        });
+
+        if (!campaign) {
+            return res.status(404).json({
+                success: false,
+                message: 'Campaign not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: campaign
+        });
+    } catch (error) {
+        console.error('Get campaign error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching campaign',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Update a draft campaign - all fields optional
+ * @route PUT /api/v1/newsletter/campaigns/:id
+ */
+exports.updateCampaign = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { subject, previewText, content } = req.body;
+
+        const existingCampaign = await prisma.newsletterCampaign.findUnique({
+            where: { id }
+        });
+
+        if (!existingCampaign) {
+            return res.status(404).json({
+                success: false,
+                message: 'Campaign not found'
+            });
+        }
+
+        if (!EDITABLE_STATUSES.includes(existingCampaign.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `A ${existingCampaign.status.toLowerCase()} campaign can no longer be edited`
+            });
+        }
+
+        const updatedCampaign = await prisma.newsletterCampaign.update({
+            where: { id },
+            data: {
+                ...(subject !== undefined && { subject }),
+                ...(previewText !== undefined && { previewText }),
+                ...(content !== undefined && { content })
+            }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Campaign updated successfully',
+            data: updatedCampaign
+        });
+    } catch (error) {
+        console.error('Update campaign error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating campaign',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Delete a campaign that has not been sent
+ * @route DELETE /api/v1/newsletter/campaigns/:id
+ */
+exports.deleteCampaign = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const existingCampaign = await prisma.newsletterCampaign.findUnique({
+            where: { id }
+        });
+
+        if (!existingCampaign) {
+            return res.status(404).json({
+                success: false,
+                message: 'Campaign not found'
+            });
+        }
+
+        if (!EDITABLE_STATUSES.includes(existingCampaign.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `A ${existingCampaign.status.toLowerCase()} campaign cannot be deleted`
+            });
+        }
+
+        await prisma.campaignDelivery.deleteMany({
+            where: { campaignId: id }
+        });
+        await prisma.newsletterCampaign.delete({
+            where: { id }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Campaign deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete campaign error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error deleting campaign',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Preview the rendered campaign HTML
+ * @route GET /api/v1/newsletter/campaigns/:id/preview
+ */
+exports.previewCampaign = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const campaign = await prisma.newsletterCampaign.findUnique({
+            where: { id }
+        });
+
+        if (!campaign) {
+            return res.status(404).json({
+                success: false,
+                message: 'Campaign not found'
+            });
+        }
+
+        const html = renderNewsletter(campaign, {
+            email: req.user.email,
+            firstName: req.user.name
+        });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                subject: campaign.subject,
+                previewText: campaign.previewText,
+                html
+            }
+        });
+    } catch (error) {
+        console.error('Preview campaign error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error rendering campaign preview',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Send a test copy of the campaign to a single address
+ * @route POST /api/v1/newsletter/campaigns/:id/test
+ */
+exports.sendTestCampaign = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const email = (req.body && req.body.email) || req.user.email;
+
+        // Validate email format
+        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+        if (!emailRegex.test(email)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide a valid email address'
+            });
+        }
+
+        const campaign = await prisma.newsletterCampaign.findUnique({
+            where: { id }
+        });
+
+        if (!campaign) {
+            return res.status(404).json({
+                success: false,
+                message: 'Campaign not found'
+            });
+        }
+
+        await sendNewsletterTestEmail(email, campaign);
+
+        res.status(200).json({
+            success: true,
+            message: `Test email sent to ${email}`
+        });
+    } catch (error) {
+        console.error('Test campaign error:', error);
+
+        // Handle email sending errors
+        if (error.code === 'EAUTH' || error.code === 'ECONNECTION') {
+            return res.status(500).json({
+                success: false,
+                message: 'Email service is currently unavailable. Please try again later.'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error sending test email',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Send the campaign to all active subscribers. Each call sends for a limited
+ * time (CAMPAIGN_SEND_BUDGET_MS) to stay inside the serverless time limit.
+ * While subscribers are left the response is 202 with done: false, and the
+ * client keeps calling this endpoint until it gets 200 with done: true. The
+ * daily resume job only finishes sends a client has abandoned. Retrying a
+ * PARTIAL or FAILED campaign only emails subscribers who have not received it.
+ * @route POST /api/v1/newsletter/campaigns/:id/send
+ */
+exports.sendCampaign = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const campaign = await prisma.newsletterCampaign.findUnique({
+            where: { id }
+        });
+
+        if (!campaign) {
+            return res.status(404).json({
+                success: false,
+                message: 'Campaign not found'
+            });
+        }
+
+        // Claim the campaign atomically so two runs never send it at once
+        const claimed = await claimCampaign(id, req.user.id);
+        if (!claimed) {
+            return res.status(400).json({
+                success: false,
+                message: campaign.status === 'SENDING'
+                    ? 'This campaign is already being sent'
+                    : `A ${campaign.status.toLowerCase()} campaign cannot be sent again`
+            });
+        }
+
+        const { campaign: sentCampaign, done } = await runCampaign(claimed);
+
+        if (!done) {
+            return res.status(202).json({
+                success: true,
+                done: false,
+                message: `Sending in progress: ${sentCampaign.sentCount} subscribers reached so far. Send again to continue.`,
+                data: sentCampaign
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            done: true,
+            message: `Campaign sent to ${sentCampaign.sentCount} of ${sentCampaign.recipientCount} subscribers`,
+            data: sentCampaign
+        });
+    } catch (error) {
+        console.error('Send campaign error:', error);
+
+        // Release the lease so the send can be resumed straight away
+        await prisma.newsletterCampaign.updateMany({
+            where: { id, status: 'SENDING' },
+            data: { sendLeaseUntil: null }
+        }).catch(() => {});
+
+        res.status(500).json({
+            success: false,
+            message: 'Error sending campaign',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
@@ -1,6 +1,41 @@
 // controllers/newsletterController.js
 const prisma = require('./../utils/prisma');
-const { sendNewsletterConfirmationEmail } = require('../utils/email');
+const { sendNewsletterConfirmationEmail, sendNewsletterWelcomeEmail } = require('../utils/email');
+const {
+    CONFIRMATION_EXPIRES_HOURS,
+    createConfirmationToken,
+    verifyConfirmationToken,
+    parseUnsubscribeToken,
+    verifyUnsubscribeToken
+} = require('../utils/newsletterTokens');
+
+/**
+ * Remove subscriptions that were never confirmed before their link expired
+ */
+const purgeExpiredPendingSubscriptions = () => {
+    return prisma.newsletter.deleteMany({
+        where: {
+            isActive: false,
+            confirmedAt: null,
+            confirmationExpires: { lt: new Date() }
+        }
+    });
+};
+
+/**
+ * Email a fresh double opt-in link to a pending subscriber
+ * @param {Object} subscriber - Newsletter record
+ */
+const sendConfirmationLink = async (subscriber) => {
+    const token = createConfirmationToken(subscriber);
+
+    await sendNewsletterConfirmationEmail({
+        email: subscriber.email,
+        firstName: subscriber.firstName,
+        confirmUrl: `${process.env.CLIENT_URL}/newsletter/confirm/${token}`,
+        expiresInHours: CONFIRMATION_EXPIRES_HOURS
+    });
+};
 
 /**
  * Handle newsletter subscription
@@ -27,6 +62,10 @@ exports.subscribeToNewsletter = async (req, res) => {
             });
         }
 
+        await purgeExpiredPendingSubscriptions();
+
+        const confirmationExpires = new Date(Date.now() + CONFIRMATION_EXPIRES_HOURS * 60 * 60 * 1000);
+
         // Check if email already exists
         const existingSubscriber = await prisma.newsletter.findUnique({
             where: { email }
@@ -39,50 +78,46 @@ exports.subscribeToNewsletter = async (req, res) => {
                     message: 'This email is already subscribed to our newsletter'
                 });
             } else {
-                // Reactivate the subscription
-                await prisma.newsletter.update({
+                // Put the subscription back into the pending state until confirmed
+                const pendingSubscriber = await prisma.newsletter.update({
                     where: { email },
                     data: {
-                        isActive: true,
                         firstName: firstName || existingSubscriber.firstName,
                         lastName: lastName || existingSubscriber.lastName,
                         countryCode: countryCode || existingSubscriber.countryCode,
+                        confirmationExpires,
                         updatedAt: new Date()
                     }
                 });
 
                 // Send confirmation email
-                await sendNewsletterConfirmationEmail({
-                    email,
-                    firstName: firstName || existingSubscriber.firstName
-                });
+                await sendConfirmationLink(pendingSubscriber);
 
                 return res.status(200).json({
                     success: true,
-                    message: 'Welcome back! Your newsletter subscription has been reactivated.'
+                    message: 'Please check your email and click the confirmation link to activate your subscription.'
                 });
             }
         }
 
-        // Create new newsletter subscription
+        // Create new pending newsletter subscription
         const newSubscriber = await prisma.newsletter.create({
             data: {
                 email,
                 firstName: firstName || null,
                 lastName: lastName || null,
-                countryCode: countryCode || null
+                countryCode: countryCode || null,
+                isActive: false,
+                confirmationExpires
             }
         });
 
         // Send confirmation email
-        await sendNewsletterConfirmationEmail({
-            email,
-            firstName: firstName || 'Subscriber'
-        });
+        await sendConfirmationLink(newSubscriber);
 
         res.status(201).json({
             success: true,
-            message: 'Thank you for subscribing! You will receive a confirmation email shortly.',
+            message: 'Thank you for subscribing! Please check your email and click the confirmation link to activate your subscription.',
             data: {
                 id: newSubscriber.id,
                 email: newSubscriber.email
@@ -117,47 +152,117 @@ exports.subscribeToNewsletter = async (req, res) => {
 };
 
 /**
- * Handle newsletter unsubscription
- * @route POST /api/newsletter/unsubscribe
+ * Confirm a pending newsletter subscription (double opt-in)
+ * @route GET /api/newsletter/confirm/:token
  */
-exports.unsubscribeFromNewsletter = async (req, res) => {
+exports.confirmSubscription = async (req, res) => {
     try {
-        const { email } = req.body;
+        const decoded = verifyConfirmationToken(req.params.token);
 
-        if (!email) {
+        if (!decoded) {
             return res.status(400).json({
                 success: false,
-                message: 'Email address is required'
+                message: 'Confirmation link is invalid or has expired'
             });
         }
 
-        // Find and deactivate the subscription
         const subscriber = await prisma.newsletter.findUnique({
-            where: { email }
+            where: { id: decoded.sub }
         });
 
-        if (!subscriber) {
-            return res.status(404).json({
+        if (!subscriber || subscriber.email !== decoded.email) {
+            return res.status(400).json({
                 success: false,
-                message: 'Email address not found in our newsletter list'
+                message: 'Confirmation link is invalid or has expired'
+            });
+        }
+
+        if (subscriber.isActive) {
+            return res.status(200).json({
+                success: true,
+                message: 'Your subscription is already confirmed'
             });
         }
 
-        if (!subscriber.isActive) {
+        // The pending window may have closed even if the token itself is still valid
+        if (!subscriber.confirmationExpires || subscriber.confirmationExpires < new Date()) {
             return res.status(400).json({
                 success: false,
-                message: 'This email is already unsubscribed'
+                message: 'Confirmation link is invalid or has expired'
             });
         }
 
         await prisma.newsletter.update({
-            where: { email },
+            where: { id: subscriber.id },
             data: {
-                isActive: false,
-                updatedAt: new Date()
+                isActive: true,
+                confirmedAt: new Date(),
+                confirmationExpires: null
             }
         });
 
+        // Send welcome email, but don't fail the confirmation if it bounces
+        try {
+            await sendNewsletterWelcomeEmail(subscriber);
+        } catch (emailError) {
+            console.error('Failed to send newsletter welcome email:', emailError);
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Your newsletter subscription has been confirmed. Welcome aboard!'
+        });
+
+    } catch (error) {
+        console.error('Newsletter confirmation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error confirming your subscription. Please try again.'
+        });
+    }
+};
+
+/**
+ * Handle newsletter unsubscription via a signed unsubscribe token.
+ * Also serves RFC 8058 one-click requests posted by mail providers.
+ * @route POST /api/newsletter/unsubscribe/:token
+ * @route POST /api/newsletter/unsubscribe
+ */
+exports.unsubscribeFromNewsletter = async (req, res) => {
+    try {
+        const token = req.params.token || (req.body && req.body.token);
+
+        if (!token) {
+            return res.status(400).json({
+                success: false,
+                message: 'A valid unsubscribe link is required'
+            });
+        }
+
+        const subscriberId = parseUnsubscribeToken(token);
+        const subscriber = subscriberId && await prisma.newsletter.findUnique({
+            where: { id: subscriberId }
+        });
+
+        if (!subscriber || !verifyUnsubscribeToken(token, subscriber)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Unsubscribe link is invalid'
+            });
+        }
+
+        // Unsubscribing twice is not an error for one-click clients
+        if (subscriber.isActive) {
+            await prisma.newsletter.update({
+                where: { id: subscriber.id },
+                data: {
+                    isActive: false,
+                    confirmationExpires: null,
+                    updatedAt: new Date()
+                }
+            });
+        }
+
         res.status(200).json({
             success: true,
             message: 'You have been successfully unsubscribed from our newsletter'
@@ -178,9 +283,17 @@ exports.unsubscribeFromNewsletter = async (req, res) => {
  */
 exports.getNewsletterStats = async (req, res) => {
     try {
-        const [totalSubscribers, activeSubscribers, recentSubscribers] = await Promise.all([
+        await purgeExpiredPendingSubscriptions();
+
+        const [totalSubscribers, activeSubscribers, pendingSubscribers, recentSubscribers] = await Promise.all([
             prisma.newsletter.count(),
             prisma.newsletter.count({ where: { isActive: true } }),
+            prisma.newsletter.count({
+                where: {
+                    isActive: false,
+                    confirmationExpires: { gt: new Date() }
+                }
+            }),
             prisma.newsletter.count({
                 where: {
                     isActive: true,
@@ -196,7 +309,8 @@ exports.getNewsletterStats = async (req, res) => {
             data: {
                 totalSubscribers,
                 activeSubscribers,
-                inactiveSubscribers: totalSubscribers - activeSubscribers,
+                pendingSubscribers,
+                inactiveSubscribers: totalSubscribers - activeSubscribers - pendingSubscribers,
                 recentSubscribers
             }
         });
@@ -0,0 +1,309 @@
+// controllers/roleController.js
+const prisma = require('./../utils/prisma');
+const {
+  PERMISSIONS,
+  SYSTEM_ROLES,
+  ADMIN_ROLE,
+  findRole,
+  findNotHeld,
+  clearPermissionCache
+} = require('../utils/permissions');
+
+const ROLE_NAME_PATTERN = /^[A-Z][A-Z0-9_]{1,49}$/;
+
+/**
+ * Turn a label such as "Festival coordinator" into a role name
+ * @param {String} label - Human readable role label
+ */
+const toRoleName = (label) => {
+  return String(label).trim().toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+};
+
+/**
+ * Check a permission list against the catalogue
+ * @param {*} permissions - Value from the request body
+ * @returns {String|null} Error message, or null if valid
+ */
+const validatePermissions = (permissions) => {
+  if (!Array.isArray(permissions)) {
+    return 'Permissions must be an array';
+  }
+
+  const unknown = permissions.filter(permission => !PERMISSIONS[permission]);
+  if (unknown.length > 0) {
+    return `Unknown permissions: ${unknown.join(', ')}`;
+  }
+
+  return null;
+};
+
+/**
+ * List every permission that can be granted
+ * @route GET /api/v1/roles/permissions
+ */
+exports.getPermissions = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description }))
+    });
+  } catch (error) {
+    console.error('Get permissions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching permissions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * List system and custom roles with their permissions and user counts
+ * @route GET /api/v1/roles
+ */
+exports.getRoles = async (req, res) => {
+  try {
+    const [customRoles, userCounts] = await Promise.all([
+      prisma.role.findMany({ orderBy: { createdAt: 'asc' } }),
+      prisma.user.groupBy({ by: ['role'], _count: { _all: true } })
+    ]);
+
+    const systemRoles = await Promise.all(Object.keys(SYSTEM_ROLES).map(name => findRole(name)));
+    const roles = [
+      ...systemRoles,
+      ...customRoles
+        .filter(role => !SYSTEM_ROLES[role.name])
+        .map(role => ({ ...role, isSystem: false }))
+    ].map(role => {
+      const count = userCounts.find(entry => entry.role === role.name);
+      return { ...role, userCount: count ? count._count._all : 0 };
+    });
+
+    res.status(200).json({
+      success: true,
+      data: roles
+    });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching roles',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Create a custom role
+ * @route POST /api/v1/roles
+ */
+exports.createRole = async (req, res) => {
+  try {
+    const { label, description, permissions = [] } = req.body;
+    const name = req.body.name ? String(req.body.name).toUpperCase() : toRoleName(label || '');
+
+    if (!label) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role label is required'
+      });
+    }
+
+    if (!ROLE_NAME_PATTERN.test(name)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role name must start with a letter and contain only letters, digits and underscores'
+      });
+    }
+
+    const permissionError = validatePermissions(permissions);
+    if (permissionError) {
+      return res.status(400).json({
+        success: false,
+        message: permissionError
+      });
+    }
+
+    const notHeld = await findNotHeld(req.user, permissions);
+    if (notHeld.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `You cannot grant permissions you do not have: ${notHeld.join(', ')}`
+      });
+    }
+
+    if (await findRole(name)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A role with this name already exists'
+      });
+    }
+
+    const role = await prisma.role.create({
+      data: {
+        name,
+        label,
+        description: description || null,
+        permissions: [...new Set(permissions)],
+        createdById: req.user.id
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      data: { ...role, isSystem: false }
+    });
+  } catch (error) {
+    console.error('Create role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating role',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Update a role's label, description or permissions. ADMIN and the caller's
+ * own role cannot be changed.
+ * @route PUT /api/v1/roles/:name
+ */
+exports.updateRole = async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { label, description, permissions } = req.body;
+
+    if (name === ADMIN_ROLE) {
+      return res.status(400).json({
+        success: false,
+        message: 'The ADMIN role always has every permission and cannot be changed'
+      });
+    }
+
+    if (name === req.user.role) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const existingRole = await findRole(name);
+    if (!existingRole) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    if (permissions !== undefined) {
+      const permissionError = validatePermissions(permissions);
+      if (permissionError) {
+        return res.status(400).json({
+          success: false,
+          message: permissionError
+        });
+      }
+
+      const notHeld = await findNotHeld(req.user, permissions, existingRole.permissions);
+      if (notHeld.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: `You cannot grant permissions you do not have: ${notHeld.join(', ')}`
+        });
+      }
+    }
+
+    const updateData = {};
+    if (label) updateData.label = label;
+    if (description !== undefined) updateData.description = description || null;
+    if (permissions !== undefined) updateData.permissions = [...new Set(permissions)];
+
+    // System roles only get a database record once they are customised
+    const role = await prisma.role.upsert({
+      where: { name },
+      update: updateData,
+      create: {
+        name,
+        label: existingRole.label,
+        description: existingRole.description,
+        permissions: existingRole.permissions,
+        ...updateData,
+        createdById: req.user.id
+      }
+    });
+
+    clearPermissionCache();
+
+    res.status(200).json({
+      success: true,
+      message: 'Role updated successfully',
+      data: { ...role, isSystem: existingRole.isSystem }
+    });
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating role',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Delete a custom role that no user has
+ * @route DELETE /api/v1/roles/:name
+ */
+exports.deleteRole = async (req, res) => {
+  try {
+    const { name } = req.params;
+
+    if (SYSTEM_ROLES[name]) {
+      return res.status(400).json({
+        success: false,
+        message: 'System roles cannot be deleted'
+      });
+    }
+
+    const existingRole = await prisma.role.findUnique({
+      where: { name }
+    });
+
+    if (!existingRole) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    const userCount = await prisma.user.count({
+      where: { role: name }
+    });
+
+    if (userCount > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Role is assigned to ${userCount} user(s). Move them to another role first.`
+      });
+    }
+
+    await prisma.role.delete({
+      where: { name }
+    });
+
+    clearPermissionCache();
+
+    res.status(200).json({
+      success: true,
+      message: 'Role deleted successfully',
+      data: { name }
+    });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting role',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -1,6 +1,5 @@
 // controllers/transportationController.js
-const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
+const prisma = require('./../utils/prisma');
 
 // Get all transportation options with filtering and pagination
 exports.getAllTransportations = async (req, res) => {
@@ -0,0 +1,321 @@
+// controllers/twoFactorController.js
+const bcrypt = require('bcryptjs');
+const prisma = require('./../utils/prisma');
+const { getSetting, setSetting } = require('../utils/settings');
+const { revokeAllSessions } = require('../utils/session');
+const {
+  REQUIRED_ROLES_SETTING,
+  isTwoFactorRequired,
+  startEnrollment,
+  completeEnrollment,
+  verifySecondFactor,
+  generateBackupCodes
+} = require('../utils/twoFactor');
+const { roleExists } = require('../utils/permissions');
+const {
+  getAccountLockedUntil,
+  recordFailedLogin,
+  sendLockedResponse
+} = require('../utils/loginThrottle');
+
+/**
+ * Get the current user's two-factor status
+ * @route GET /api/v1/2fa
+ */
+exports.getTwoFactorStatus = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        enabled: req.user.twoFactorEnabled,
+        required: await isTwoFactorRequired(req.user.role),
+        backupCodesRemaining: (req.user.twoFactorBackupCodes || []).length
+      }
+    });
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching two-factor status',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Start two-factor enrollment and return the provisioning URI for a QR code
+ * @route POST /api/v1/2fa/setup
+ */
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const { secret, otpauthUrl } = await startEnrollment(req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: { secret, otpauthUrl }
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error setting up two-factor authentication',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Verify the first code from the authenticator app and enable two-factor
+ * @route POST /api/v1/2fa/enable
+ */
+exports.enableTwoFactor = async (req, res) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!req.user.twoFactorSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please start two-factor setup first'
+      });
+    }
+
+    const { code } = req.body || {};
+
+    // Wrong codes count towards the same account lockout as failed logins
+    const accountLockedUntil = getAccountLockedUntil(req.user);
+    if (accountLockedUntil) {
+      return sendLockedResponse(res, accountLockedUntil);
+    }
+
+    const backupCodes = await completeEnrollment(req.user, code);
+
+    if (!backupCodes) {
+      const lockedUntil = await recordFailedLogin(req, req.user.email, req.user, 'invalid_2fa_setup_code');
+      if (lockedUntil) {
+        return sendLockedResponse(res, lockedUntil);
+      }
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your backup codes somewhere safe.',
+      data: { backupCodes }
+    });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error enabling two-factor authentication',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Disable two-factor authentication (requires password and a current code)
+ * @route POST /api/v1/2fa/disable
+ */
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, backupCode } = req.body || {};
+
+    if (!req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (await isTwoFactorRequired(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for your role and cannot be disabled'
+      });
+    }
+
+    const accountLockedUntil = getAccountLockedUntil(req.user);
+    if (accountLockedUntil) {
+      return sendLockedResponse(res, accountLockedUntil);
+    }
+
+    const isPasswordCorrect = password && await bcrypt.compare(password, req.user.password);
+    if (!isPasswordCorrect || !(await verifySecondFactor(req.user, { code, backupCode }))) {
+      const lockedUntil = await recordFailedLogin(req, req.user.email, req.user, isPasswordCorrect ? 'invalid_2fa_code' : 'invalid_password');
+      if (lockedUntil) {
+        return sendLockedResponse(res, lockedUntil);
+      }
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid password or authentication code'
+      });
+    }
+
+    await prisma.user.update({
+      where: { id: req.user.id },
+      data: {
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorBackupCodes: [],
+        twoFactorLastUsedStep: null
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error disabling two-factor authentication',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Replace the backup codes (requires a current code)
+ * @route POST /api/v1/2fa/backup-codes
+ */
+exports.regenerateBackupCodes = async (req, res) => {
+  try {
+    if (!req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const { code } = req.body || {};
+
+    const accountLockedUntil = getAccountLockedUntil(req.user);
+    if (accountLockedUntil) {
+      return sendLockedResponse(res, accountLockedUntil);
+    }
+
+    if (!(await verifySecondFactor(req.user, { code }))) {
+      const lockedUntil = await recordFailedLogin(req, req.user.email, req.user, 'invalid_2fa_code');
+      if (lockedUntil) {
+        return sendLockedResponse(res, lockedUntil);
+      }
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+
+    await prisma.user.update({
+      where: { id: req.user.id },
+      data: { twoFactorBackupCodes: hashes }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'New backup codes generated. Previous codes no longer work.',
+      data: { backupCodes: codes }
+    });
+  } catch (error) {
+    console.error('Regenerate backup codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating backup codes',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get the roles that must use two-factor authentication
+ * @route GET /api/v1/2fa/requirements
+ */
+exports.getTwoFactorRequirements = async (req, res) => {
+  try {
+    const roles = await getSetting(REQUIRED_ROLES_SETTING, []);
+
+    res.status(200).json({
+      success: true,
+      data: { roles }
+    });
+  } catch (error) {
+    console.error('Get two-factor requirements error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching two-factor requirements',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Require (or stop requiring) two-factor authentication for a role.
+ * Users of that role who have not enrolled are signed out so their next login
+ * walks them through setup.
+ * @route PUT /api/v1/2fa/requirements
+ */
+exports.updateTwoFactorRequirement = async (req, res) => {
+  try {
+    const { role, required } = req.body;
+
+    if (typeof required !== 'boolean' || !(await roleExists(role))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid role and a boolean "required" value'
+      });
+    }
+
+    const currentRoles = await getSetting(REQUIRED_ROLES_SETTING, []);
+    const roles = required
+      ? [...new Set([...currentRoles, role])]
+      : currentRoles.filter(currentRole => currentRole !== role);
+
+    await setSetting(REQUIRED_ROLES_SETTING, roles, req.user.id);
+
+    let signedOutUsers = 0;
+    if (required) {
+      const unenrolledUsers = await prisma.user.findMany({
+        where: { role, twoFactorEnabled: { not: true } },
+        select: { id: true }
+      });
+
+      // Keep the admin making the change signed in
+      const usersToSignOut = unenrolledUsers.filter(user => user.id !== req.user.id);
+      await Promise.all(usersToSignOut.map(user => revokeAllSessions(user.id)));
+      signedOutUsers = usersToSignOut.length;
+    }
+
+    res.status(200).json({
+      success: true,
+      message: required
+        ? `Two-factor authentication is now required for ${role}. ${signedOutUsers} user(s) without it were signed out.`
+        : `Two-factor authentication is no longer required for ${role}`,
+      data: { roles }
+    });
+  } catch (error) {
+    console.error('Update two-factor requirement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating two-factor requirement',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -1,26 +1,125 @@
 // controllers/userController.js
 const prisma = require('./../utils/prisma');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { isInvitePending, issueInvitation } = require('../utils/invitations');
+const { ADMIN_ROLE, DEFAULT_ROLE, roleExists, canAssignRole } = require('../utils/permissions');
+const {
+  validatePassword,
+  hashNewPassword,
+  sendPasswordPolicyErrors
+} = require('../utils/passwordPolicy');
+const {
+  USER_RESTORE_DAYS,
+  notDeleted,
+  getRestoreDeadline,
+  softDeleteUser,
+  restoreUser
+} = require('../utils/userDeletion');
+const { getDormancy } = require('../utils/dormantAccounts');
+const { setSetting } = require('../utils/settings');
+const {
+  REGISTRATION_MODE_SETTING,
+  REGISTRATION_MODES,
+  APPROVAL_STATUS,
+  getRegistrationMode
+} = require('../utils/registration');
+const { parseCsv, toCsv } = require('../utils/csv');
+const {
+  sendRegistrationApprovedEmail,
+  sendRegistrationRejectedEmail
+} = require('../utils/email');
+
+// Fields returned for users in dashboard responses
+const userSelect = {
+  id: true,
+  name: true,
+  email: true,
+  role: true,
+  isActive: true,
+  isVerified: true,
+  invitedAt: true,
+  inviteExpires: true,
+  lastLoginAt: true,
+  approvalStatus: true,
+  isDeleted: true,
+  deletedAt: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+/**
+ * Only ADMINs may grant the ADMIN role or change ADMIN accounts, so that
+ * users:manage cannot be used to escalate privileges
+ * @param {Object} req - Express request
+ * @param {String} role - Role being granted or held by the target user
+ */
+const isAdminOnlyChange = (req, role) => role === ADMIN_ROLE && req.user.role !== ADMIN_ROLE;
+
+const ADMIN_ONLY_MESSAGE = 'Only administrators can grant the ADMIN role or change administrator accounts';
+
+const ROLE_NOT_HELD_MESSAGE = 'You cannot assign a role with permissions you do not have';
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 
 /**
- * Create a new user from dashboard
+ * Create a user from the dashboard. By default the account stays inactive
+ * and an invitation is emailed; with invite false it is active straight
+ * away, for staff who sign in with single sign-on or reset their password.
+ * @param {Object} data - { email, name, role }
+ * @param {String} createdById - User creating the account
+ * @param {Boolean} [invite=true] - Send an invitation
+ * @returns {Promise<{ user: Object, invitationSent: Boolean }>}
+ */
+const createAccount = async ({ email, name, role }, createdById, invite = true) => {
+  // Nobody knows this password; the invitee sets their own when accepting
+  const placeholderPassword = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+  
+  const userData = {
+    email,
+    password: placeholderPassword,
+    isActive: !invite,
+    isVerified: !invite
+  };
+  
+  // Add optional fields if provided
+  if (name) userData.name = name;
+  if (role) userData.role = role;
+  
+  const user = await prisma.user.create({
+    data: userData
+  });
+  
+  if (!invite) return { user, invitationSent: false };
+  
+  // Send the invitation
+  try {
+    return { user: await issueInvitation(user, createdById), invitationSent: true };
+  } catch (emailError) {
+    console.error('Failed to send invitation email:', emailError);
+    return { user, invitationSent: false };
+  }
+};
+
+/**
+ * Invite a new user from dashboard. The account stays inactive until the
+ * invitee accepts the emailed invitation and chooses a password.
  * @route POST /api/users
  */
 exports.createUser = async (req, res) => {
   try {
-    const { email, password, role, isActive, name } = req.body;
+    const { email, role, name } = req.body;
     
     // Validate required fields
-    if (!email || !password) {
+    if (!email) {
       return res.status(400).json({
         success: false,
-        message: 'Email and password are required'
+        message: 'Email is required'
       });
     }
     
     // Validate email format
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
+    if (!EMAIL_REGEX.test(email)) {
       return res.status(400).json({
         success: false,
         message: 'Please provide a valid email address'
@@ -28,10 +127,24 @@ exports.createUser = async (req, res) => {
     }
     
     // Validate role if provided
-    if (role && !['EDITOR', 'ADMIN'].includes(role)) {
+    if (role && !(await roleExists(role))) {
       return res.status(400).json({
         success: false,
-        message: 'Role must be either EDITOR or ADMIN'
+        message: 'Role does not exist'
+      });
+    }
+    
+    if (isAdminOnlyChange(req, role)) {
+      return res.status(403).json({
+        success: false,
+        message: ADMIN_ONLY_MESSAGE
+      });
+    }
+    
+    if (!(await canAssignRole(req.user, role || DEFAULT_ROLE))) {
+      return res.status(403).json({
+        success: false,
+        message: ROLE_NOT_HELD_MESSAGE
       });
     }
     
@@ -47,65 +160,18 @@ exports.createUser = async (req, res) => {
       });
     }
     
-    // Hash password
-    const hashedPassword = await bcrypt.hash(password, 10);
-    
-    // Create user
-    const userData = {
-      email,
-      password: hashedPassword,
-      isVerified: true, // Users created from dashboard are auto-verified
-    };
-    
-    // Add optional fields if provided
-    if (name) userData.name = name;
-    if (role) userData.role = role;
-    if (typeof isActive === 'boolean') userData.isActive = isActive;
+    const { user: pendingUser, invitationSent } = await createAccount({ email, name, role }, req.user.id);
     
-    const user = await prisma.user.create({
-      data: userData,
-      select: {
-        id: true,
-        name: true,
-        email: true,
-        role: true,
-        isActive: true,
-        isVerified: true,
-        createdAt: true,
-        updatedAt: true
-      }
+    const user = await prisma.user.findUnique({
+      where: { id: pendingUser.id },
+      select: userSelect
     });
     
-    // Send account creation email notification
-    try {
-      const { sendAccountCreationEmail } = require('../utils/email');
-      console.log('Attempting to send account creation email to:', user.email);
-      
-      // Log email configuration for debugging (remove sensitive info in production)
-      console.log('Email configuration:', {
-        host: process.env.EMAIL_HOST,
-        port: process.env.EMAIL_PORT,
-        secure: process.env.EMAIL_SECURE === 'true',
-        user: process.env.EMAIL_USER ? 'Set' : 'Not set',
-        pass: process.env.EMAIL_PASS ? 'Set' : 'Not set',
-        from: process.env.EMAIL_FROM_ADDRESS || 'Not set'
-      });
-      
-      await sendAccountCreationEmail({
-        email: user.email,
-        name: user.name || user.email.split('@')[0],
-        role: user.role
-      });
-      
-      console.log('Account creation email sent successfully to:', user.email);
-    } catch (emailError) {
-      console.error('Failed to send account creation email:', emailError);
-      // Continue with the response even if email fails
-    }
-    
     res.status(201).json({
       success: true,
-      message: 'User created successfully',
+      message: invitationSent
+        ? 'User invited successfully'
+        : 'User created, but the invitation email could not be sent. Please resend it.',
       data: user
     });
   } catch (error) {
@@ -118,50 +184,51 @@ exports.createUser = async (req, res) => {
   }
 };
 
+/**
+ * Where clause for the user list filters, shared by the list and the export
+ * @param {Object} query - { role, isActive, invited, deleted, search }
+ */
+const buildUserFilter = ({ role, isActive, invited, deleted, search }) => {
+  // Deleted users are only listed on request, for restoring
+  const where = deleted === 'true' ? { isDeleted: true } : { ...notDeleted };
+  if (role) where.role = role;
+  if (typeof isActive !== 'undefined') where.isActive = isActive === 'true';
+  if (invited === 'true') where.inviteTokenId = { not: null };
+  if (search) {
+    where.OR = [
+      {
+        email: {
+          contains: search,
+          mode: 'insensitive'
+        }
+      },
+      {
+        name: {
+          contains: search,
+          mode: 'insensitive'
+        }
+      }
+    ];
+  }
+  return where;
+};
+
 /**
  * Get all users with pagination
  * @route GET /api/users
  */
 exports.getUsers = async (req, res) => {
   try {
-    const { page = 1, limit = 10, role, isActive, search } = req.query;
+    const { page = 1, limit = 10 } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
     
-    // Build where clause
-    const where = {};
-    if (role) where.role = role;
-    if (typeof isActive !== 'undefined') where.isActive = isActive === 'true';
-    if (search) {
-      where.OR = [
-        {
-          email: {
-            contains: search,
-            mode: 'insensitive'
-          }
-        },
-        {
-          name: {
-            contains: search,
-            mode: 'insensitive'
-          }
-        }
-      ];
-    }
+    const where = buildUserFilter(req.query);
     
     // Get users with pagination
     const [users, total] = await Promise.all([
       prisma.user.findMany({
         where,
-        select: {
-          id: true,
-          name: true,
-          email: true,
-          role: true,
-          isActive: true,
-          isVerified: true,
-          createdAt: true,
-          updatedAt: true
-        },
+        select: userSelect,
         skip,
         take: parseInt(limit),
         orderBy: { createdAt: 'desc' }
@@ -191,6 +258,192 @@ exports.getUsers = async (req, res) => {
   }
 };
 
+// Largest CSV accepted by the import, in data rows
+const MAX_IMPORT_ROWS = 1000;
+
+const EXPORT_COLUMNS = [
+  'id',
+  'name',
+  'email',
+  'role',
+  'isActive',
+  'isVerified',
+  'approvalStatus',
+  'invitedAt',
+  'lastLoginAt',
+  'createdAt'
+];
+
+/**
+ * Import users from a CSV with name, email and role columns (header row
+ * required, only email is mandatory). Every row is validated and reported;
+ * valid rows become invited users, or active users with ?invite=false.
+ * Nothing is saved with ?dryRun=true.
+ * @route POST /api/users/import
+ */
+exports.importUsers = async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun === 'true';
+    const invite = req.query.invite !== 'false';
+    const text = req.file ? req.file.buffer.toString('utf8') : req.body && req.body.csv;
+
+    if (!text) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a CSV file or send it as "csv"'
+      });
+    }
+
+    const [header = [], ...rows] = parseCsv(text);
+    const columns = header.map(column => column.trim().toLowerCase());
+    const emailIndex = columns.indexOf('email');
+    const nameIndex = columns.indexOf('name');
+    const roleIndex = columns.indexOf('role');
+
+    if (emailIndex === -1) {
+      return res.status(400).json({
+        success: false,
+        message: 'The first row must be a header with at least an "email" column'
+      });
+    }
+
+    if (rows.length === 0 || rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `The CSV must contain between 1 and ${MAX_IMPORT_ROWS} rows`
+      });
+    }
+
+    const cell = (row, index) => (index === -1 ? '' : String(row[index] || '').trim());
+    const seenEmails = new Set();
+
+    // Validate every row before creating anything
+    const results = [];
+    for (const [index, row] of rows.entries()) {
+      const email = cell(row, emailIndex).toLowerCase();
+      const name = cell(row, nameIndex);
+      const role = cell(row, roleIndex).toUpperCase() || undefined;
+      const errors = [];
+
+      if (!email) {
+        errors.push('Email is required');
+      } else if (!EMAIL_REGEX.test(email)) {
+        errors.push('Email is not valid');
+      } else if (seenEmails.has(email)) {
+        errors.push('Email appears more than once in the file');
+      } else if (await prisma.user.findUnique({ where: { email }, select: { id: true } })) {
+        errors.push('User with this email already exists');
+      }
+      seenEmails.add(email);
+
+      if (role && !(await roleExists(role))) {
+        errors.push(`Role "${role}" does not exist`);
+      } else if (isAdminOnlyChange(req, role)) {
+        errors.push(ADMIN_ONLY_MESSAGE);
+      } else if (!(await canAssignRole(req.user, role || DEFAULT_ROLE))) {
+        errors.push(ROLE_NOT_HELD_MESSAGE);
+      }
+
+      results.push({
+        // Row numbers as shown in a spreadsheet, counting the header
+        row: index + 2,
+        email,
+        name: name || null,
+        role: role || null,
+        status: errors.length > 0 ? 'invalid' : 'valid',
+        errors
+      });
+    }
+
+    if (!dryRun) {
+      for (const result of results.filter(result => result.status === 'valid')) {
+        try {
+          const { user, invitationSent } = await createAccount(result, req.user.id, invite);
+          result.id = user.id;
+          result.status = invite ? 'invited' : 'created';
+          if (invite && !invitationSent) {
+            result.errors.push('The invitation email could not be sent. Please resend it.');
+          }
+        } catch (createError) {
+          console.error(`Import row ${result.row} error:`, createError);
+          result.status = 'failed';
+          result.errors.push('User could not be created');
+        }
+      }
+    }
+
+    const count = (status) => results.filter(result => result.status === status).length;
+
+    res.status(200).json({
+      success: true,
+      message: dryRun
+        ? 'Dry run complete, no users were created'
+        : `${count('invited') + count('created')} of ${results.length} users imported`,
+      data: {
+        dryRun,
+        summary: {
+          total: results.length,
+          valid: results.length - count('invalid'),
+          invalid: count('invalid'),
+          invited: count('invited'),
+          created: count('created'),
+          failed: count('failed')
+        },
+        rows: results
+      }
+    });
+  } catch (error) {
+    console.error('Import users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error importing users',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Export users as CSV (default) or JSON, with the same filters as the list
+ * @route GET /api/users/export
+ */
+exports.exportUsers = async (req, res) => {
+  try {
+    const { format = 'csv' } = req.query;
+
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be csv or json'
+      });
+    }
+
+    const users = await prisma.user.findMany({
+      where: buildUserFilter(req.query),
+      select: Object.fromEntries(EXPORT_COLUMNS.map(column => [column, true])),
+      orderBy: { createdAt: 'desc' }
+    });
+
+    const filename = `users-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'json') {
+      return res.status(200).json({
+        success: true,
+        data: users
+      });
+    }
+
+    res.type('text/csv').status(200).send(toCsv(EXPORT_COLUMNS, users));
+  } catch (error) {
+    console.error('Export users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting users',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 /**
  * Get single user by ID
  * @route GET /api/users/:id
@@ -300,13 +553,36 @@ exports.updateUser = async (req, res) => {
       where: { id }
     });
     
-    if (!existingUser) {
+    if (!existingUser || existingUser.isDeleted) {
       return res.status(404).json({
         success: false,
         message: 'User not found'
       });
     }
     
+    if (isAdminOnlyChange(req, existingUser.role) || isAdminOnlyChange(req, role)) {
+      return res.status(403).json({
+        success: false,
+        message: ADMIN_ONLY_MESSAGE
+      });
+    }
+    
+    if (role && role !== existingUser.role) {
+      if (existingUser.id === req.user.id) {
+        return res.status(403).json({
+          success: false,
+          message: 'You cannot change your own role'
+        });
+      }
+      
+      if (!(await canAssignRole(req.user, role))) {
+        return res.status(403).json({
+          success: false,
+          message: ROLE_NOT_HELD_MESSAGE
+        });
+      }
+    }
+    
     // Build update data object
     const updateData = {};
     
@@ -343,17 +619,25 @@ exports.updateUser = async (req, res) => {
       updateData.email = email;
     }
     
-    // Hash password if provided
+    // Validate and hash password if provided
     if (password) {
-      updateData.password = await bcrypt.hash(password, 10);
+      const passwordErrors = await validatePassword(password, {
+        ...existingUser,
+        email: email || existingUser.email,
+        name: name || existingUser.name
+      });
+      if (passwordErrors.length > 0) {
+        return sendPasswordPolicyErrors(res, passwordErrors);
+      }
+      Object.assign(updateData, await hashNewPassword(password, existingUser));
     }
     
     // Validate and add role if provided
     if (role) {
-      if (!['EDITOR', 'ADMIN'].includes(role)) {
+      if (!(await roleExists(role))) {
         return res.status(400).json({
           success: false,
-          message: 'Role must be either EDITOR or ADMIN'
+          message: 'Role does not exist'
         });
       }
       updateData.role = role;
@@ -414,23 +698,35 @@ exports.updateUserPassword = async (req, res) => {
     // Check if user exists
     const existingUser = await prisma.user.findUnique({
       where: { id },
-      select: { id: true, email: true, name: true }
+      select: { id: true, email: true, name: true, role: true, password: true, passwordHistory: true, isDeleted: true }
     });
     
-    if (!existingUser) {
+    if (!existingUser || existingUser.isDeleted) {
       return res.status(404).json({
         success: false,
         message: 'User not found'
       });
     }
     
+    if (isAdminOnlyChange(req, existingUser.role)) {
+      return res.status(403).json({
+        success: false,
+        message: ADMIN_ONLY_MESSAGE
+      });
+    }
+    
+    const passwordErrors = await validatePassword(password, existingUser);
+    if (passwordErrors.length > 0) {
+      return sendPasswordPolicyErrors(res, passwordErrors);
+    }
+    
     // Hash new password
-    const hashedPassword = await bcrypt.hash(password, 10);
+    const passwordData = await hashNewPassword(password, existingUser);
     
     // Update user password
     await prisma.user.update({
       where: { id },
-      data: { password: hashedPassword }
+      data: passwordData
     });
     
     res.status(200).json({
@@ -459,16 +755,23 @@ exports.toggleUserStatus = async (req, res) => {
     // Check if user exists
     const existingUser = await prisma.user.findUnique({
       where: { id },
-      select: { id: true, isActive: true, email: true, name: true }
+      select: { id: true, isActive: true, email: true, name: true, role: true, isDeleted: true }
     });
     
-    if (!existingUser) {
+    if (!existingUser || existingUser.isDeleted) {
       return res.status(404).json({
         success: false,
         message: 'User not found'
       });
     }
     
+    if (isAdminOnlyChange(req, existingUser.role)) {
+      return res.status(403).json({
+        success: false,
+        message: ADMIN_ONLY_MESSAGE
+      });
+    }
+    
     // Toggle status
     const updatedUser = await prisma.user.update({
       where: { id },
@@ -501,35 +804,71 @@ exports.toggleUserStatus = async (req, res) => {
 };
 
 /**
- * Delete user
+ * Delete user. The account is anonymised and deactivated rather than removed,
+ * so content and audit entries keep a valid author, and it can be restored
+ * for USER_RESTORE_DAYS. Pass transferContentTo to hand the user's blogs and
+ * news over to another user.
  * @route DELETE /api/users/:id
  */
 exports.deleteUser = async (req, res) => {
   try {
     const { id } = req.params;
+    const transferContentTo = req.body && req.body.transferContentTo;
     
     // Check if user exists
     const existingUser = await prisma.user.findUnique({
-      where: { id },
-      select: { id: true, email: true, name: true }
+      where: { id }
     });
     
-    if (!existingUser) {
+    if (!existingUser || existingUser.isDeleted) {
       return res.status(404).json({
         success: false,
         message: 'User not found'
       });
     }
     
-    // Delete user
-    await prisma.user.delete({
-      where: { id }
-    });
+    if (isAdminOnlyChange(req, existingUser.role)) {
+      return res.status(403).json({
+        success: false,
+        message: ADMIN_ONLY_MESSAGE
+      });
+    }
+    
+    if (existingUser.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot delete your own account'
+      });
+    }
+    
+    let transferTo = null;
+    if (transferContentTo) {
+      transferTo = await prisma.user.findFirst({
+        where: { id: transferContentTo, ...notDeleted },
+        select: { id: true, name: true }
+      });
+      
+      if (!transferTo || transferTo.id === existingUser.id) {
+        return res.status(400).json({
+          success: false,
+          message: 'The user receiving the content must be another existing user'
+        });
+      }
+    }
+    
+    const { user, transferred } = await softDeleteUser(existingUser, req.user.id, transferTo);
     
     res.status(200).json({
       success: true,
       message: 'User deleted successfully',
-      data: { id: existingUser.id, email: existingUser.email, name: existingUser.name }
+      data: {
+        id: existingUser.id,
+        email: existingUser.email,
+        name: existingUser.name,
+        deletedAt: user.deletedAt,
+        restorableUntil: getRestoreDeadline(user),
+        transferred: transferTo ? { to: transferTo.id, ...transferred } : null
+      }
     });
   } catch (error) {
     console.error('Delete user error:', error);
@@ -539,4 +878,603 @@ exports.deleteUser = async (req, res) => {
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Restore a deleted user within the restore window
+ * @route POST /api/users/:id/restore
+ */
+exports.restoreUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const existingUser = await prisma.user.findUnique({
+      where: { id }
+    });
+    
+    if (!existingUser || !existingUser.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Deleted user not found'
+      });
+    }
+    
+    if (isAdminOnlyChange(req, existingUser.role)) {
+      return res.status(403).json({
+        success: false,
+        message: ADMIN_ONLY_MESSAGE
+      });
+    }
+    
+    if (!existingUser.restoreEmail || getRestoreDeadline(existingUser) < new Date()) {
+      return res.status(410).json({
+        success: false,
+        message: `Users can only be restored within ${USER_RESTORE_DAYS} days of deletion`
+      });
+    }
+    
+    // The address may have been given to a new account in the meantime
+    const emailTaken = await prisma.user.findUnique({
+      where: { email: existingUser.restoreEmail },
+      select: { id: true }
+    });
+    
+    if (emailTaken) {
+      return res.status(409).json({
+        success: false,
+        message: 'Another account now uses this email address'
+      });
+    }
+    
+    await restoreUser(existingUser);
+    
+    const user = await prisma.user.findUnique({
+      where: { id },
+      select: userSelect
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: 'User restored successfully',
+      data: user
+    });
+  } catch (error) {
+    console.error('Restore user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error restoring user',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get a user's sign-in activity: last login, dormancy state and login history
+ * @route GET /api/users/:id/activity
+ */
+exports.getUserActivity = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const user = await prisma.user.findUnique({
+      where: { id },
+      select: {
+        id: true,
+        email: true,
+        name: true,
+        role: true,
+        isActive: true,
+        createdAt: true,
+        lastLoginAt: true,
+        lastLoginIp: true,
+        dormancyWarningSentAt: true,
+        dormantDeactivatedAt: true
+      }
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const [logins, total, activeSessions, dormancy] = await Promise.all([
+      prisma.loginAttempt.findMany({
+        where: { userId: id },
+        select: { success: true, reason: true, ipAddress: true, userAgent: true, createdAt: true },
+        skip,
+        take: parseInt(limit),
+        orderBy: { createdAt: 'desc' }
+      }),
+      prisma.loginAttempt.count({ where: { userId: id } }),
+      prisma.session.count({
+        where: { userId: id, revokedAt: null, expiresAt: { gt: new Date() } }
+      }),
+      getDormancy(user)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        user: {
+          id: user.id,
+          email: user.email,
+          name: user.name,
+          role: user.role,
+          isActive: user.isActive,
+          lastLoginAt: user.lastLoginAt,
+          lastLoginIp: user.lastLoginIp
+        },
+        activeSessions,
+        dormancy,
+        logins,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get user activity error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching user activity',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get the lockout state and recent failed logins of a user
+ * @route GET /api/users/:id/lock
+ */
+exports.getUserLock = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await prisma.user.findUnique({
+      where: { id },
+      select: { id: true, email: true, failedLoginAttempts: true, lockoutCount: true, lockedUntil: true }
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const recentFailures = await prisma.loginAttempt.findMany({
+      where: { userId: id, success: false },
+      select: { ipAddress: true, userAgent: true, reason: true, createdAt: true },
+      orderBy: { createdAt: 'desc' },
+      take: 20
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...user,
+        isLocked: Boolean(user.lockedUntil && user.lockedUntil > new Date()),
+        recentFailures
+      }
+    });
+  } catch (error) {
+    console.error('Get user lock error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching user lock',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Unlock a user account and reset its failed login counters
+ * @route DELETE /api/users/:id/lock
+ */
+exports.clearUserLock = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existingUser = await prisma.user.findUnique({
+      where: { id },
+      select: { id: true, role: true }
+    });
+
+    if (!existingUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (isAdminOnlyChange(req, existingUser.role)) {
+      return res.status(403).json({
+        success: false,
+        message: ADMIN_ONLY_MESSAGE
+      });
+    }
+
+    await prisma.user.update({
+      where: { id },
+      data: { failedLoginAttempts: 0, lockoutCount: 0, lockedUntil: null }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'User account unlocked successfully'
+    });
+  } catch (error) {
+    console.error('Clear user lock error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error unlocking user account',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Resend the invitation to a user who has not accepted yet.
+ * The previous link stops working.
+ * @route POST /api/users/:id/invitation
+ */
+exports.resendInvitation = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existingUser = await prisma.user.findUnique({
+      where: { id }
+    });
+
+    if (!existingUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (isAdminOnlyChange(req, existingUser.role)) {
+      return res.status(403).json({
+        success: false,
+        message: ADMIN_ONLY_MESSAGE
+      });
+    }
+
+    if (!isInvitePending(existingUser)) {
+      return res.status(400).json({
+        success: false,
+        message: 'User has no outstanding invitation'
+      });
+    }
+
+    const user = await issueInvitation(existingUser, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation sent successfully',
+      data: { id: user.id, email: user.email, inviteExpires: user.inviteExpires }
+    });
+  } catch (error) {
+    console.error('Resend invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resending invitation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Revoke an outstanding invitation and remove the pending user
+ * @route DELETE /api/users/:id/invitation
+ */
+exports.revokeInvitation = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existingUser = await prisma.user.findUnique({
+      where: { id },
+      select: { id: true, email: true, role: true, inviteTokenId: true }
+    });
+
+    if (!existingUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (isAdminOnlyChange(req, existingUser.role)) {
+      return res.status(403).json({
+        success: false,
+        message: ADMIN_ONLY_MESSAGE
+      });
+    }
+
+    if (!isInvitePending(existingUser)) {
+      return res.status(400).json({
+        success: false,
+        message: 'User has no outstanding invitation'
+      });
+    }
+
+    // Only delete while still pending, in case the invite was accepted meanwhile
+    const { count } = await prisma.user.deleteMany({
+      where: { id, inviteTokenId: existingUser.inviteTokenId }
+    });
+
+    if (count === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Invitation was accepted or reissued in the meantime'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation revoked successfully',
+      data: { id: existingUser.id, email: existingUser.email }
+    });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking invitation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get the self-registration mode
+ * @route GET /api/v1/settings/registration
+ */
+exports.getRegistrationSettings = async (req, res) => {
+  try {
+    const mode = await getRegistrationMode();
+
+    res.status(200).json({
+      success: true,
+      data: { mode, modes: REGISTRATION_MODES }
+    });
+  } catch (error) {
+    console.error('Get registration settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching registration settings',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Set the self-registration mode: open, approval-required or closed
+ * @route PUT /api/v1/settings/registration
+ */
+exports.updateRegistrationSettings = async (req, res) => {
+  try {
+    const { mode } = req.body;
+
+    if (!REGISTRATION_MODES.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        message: `Mode must be one of: ${REGISTRATION_MODES.join(', ')}`
+      });
+    }
+
+    await setSetting(REGISTRATION_MODE_SETTING, mode, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: `Registration mode set to ${mode}`,
+      data: { mode }
+    });
+  } catch (error) {
+    console.error('Update registration settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating registration settings',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * List self-registered users by approval status. Defaults to the queue of
+ * verified signups waiting for approval.
+ * @route GET /api/users/registrations
+ */
+exports.getRegistrations = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status = APPROVAL_STATUS.PENDING } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    if (!Object.values(APPROVAL_STATUS).includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${Object.values(APPROVAL_STATUS).join(', ')}`
+      });
+    }
+
+    // Signups that never confirmed their email are not ready for review
+    const where = { approvalStatus: status, isVerified: true, ...notDeleted };
+
+    const [users, total] = await Promise.all([
+      prisma.user.findMany({
+        where,
+        select: { ...userSelect, approvalReviewedById: true, approvalReviewedAt: true },
+        skip,
+        take: parseInt(limit),
+        orderBy: { createdAt: status === APPROVAL_STATUS.PENDING ? 'asc' : 'desc' }
+      }),
+      prisma.user.count({ where })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        users,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get registrations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching registrations',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Find a verified signup that is waiting for approval
+ * @param {String} id - User id
+ */
+const findPendingRegistration = (id) => {
+  return prisma.user.findFirst({
+    where: { id, approvalStatus: APPROVAL_STATUS.PENDING, isVerified: true, ...notDeleted }
+  });
+};
+
+/**
+ * Approve a pending signup, optionally with a different role, and email the applicant
+ * @route POST /api/users/:id/approve
+ */
+exports.approveRegistration = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const role = req.body && req.body.role;
+
+    const pendingUser = await findPendingRegistration(id);
+
+    if (!pendingUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending registration not found'
+      });
+    }
+
+    if (role && !(await roleExists(role))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid role'
+      });
+    }
+
+    if (isAdminOnlyChange(req, role)) {
+      return res.status(403).json({
+        success: false,
+        message: ADMIN_ONLY_MESSAGE
+      });
+    }
+
+    if (!(await canAssignRole(req.user, role || pendingUser.role))) {
+      return res.status(403).json({
+        success: false,
+        message: ROLE_NOT_HELD_MESSAGE
+      });
+    }
+
+    const user = await prisma.user.update({
+      where: { id },
+      data: {
+        isActive: true,
+        approvalStatus: APPROVAL_STATUS.APPROVED,
+        approvalReviewedById: req.user.id,
+        approvalReviewedAt: new Date(),
+        ...(role && { role })
+      },
+      select: userSelect
+    });
+
+    let emailSent = true;
+    try {
+      await sendRegistrationApprovedEmail({ email: user.email, name: user.name });
+    } catch (emailError) {
+      console.error('Failed to send registration approved email:', emailError);
+      emailSent = false;
+    }
+
+    res.status(200).json({
+      success: true,
+      message: emailSent
+        ? 'Registration approved and the applicant notified'
+        : 'Registration approved, but the notification email could not be sent',
+      data: user
+    });
+  } catch (error) {
+    console.error('Approve registration error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error approving registration',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Reject a pending signup and email the applicant, with an optional reason
+ * @route POST /api/users/:id/reject
+ */
+exports.rejectRegistration = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const reason = req.body && req.body.reason;
+
+    const pendingUser = await findPendingRegistration(id);
+
+    if (!pendingUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending registration not found'
+      });
+    }
+
+    const user = await prisma.user.update({
+      where: { id },
+      data: {
+        isActive: false,
+        approvalStatus: APPROVAL_STATUS.REJECTED,
+        approvalReviewedById: req.user.id,
+        approvalReviewedAt: new Date()
+      },
+      select: userSelect
+    });
+
+    let emailSent = true;
+    try {
+      await sendRegistrationRejectedEmail({ email: user.email, name: user.name, reason });
+    } catch (emailError) {
+      console.error('Failed to send registration rejected email:', emailError);
+      emailSent = false;
+    }
+
+    res.status(200).json({
+      success: true,
+      message: emailSent
+        ? 'Registration rejected and the applicant notified'
+        : 'Registration rejected, but the notification email could not be sent',
+      data: user
+    });
+  } catch (error) {
+    console.error('Reject registration error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error rejecting registration',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -1,13 +1,18 @@
 const express = require('express');
 const cors = require('cors');
+const cookieParser = require('cookie-parser');
 const dotenv = require('dotenv');
 const routes = require('./router/routes');
+const { requestContext } = require('./utils/requestContext');
 
 dotenv.config();
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Trust the first proxy hop (Vercel) so req.ip is the real client address
+app.set('trust proxy', 1);
+
 // Enhanced CORS configuration
 const corsOptions = {
   origin: [
@@ -17,13 +22,15 @@ const corsOptions = {
   ],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-CSRF-Token']
 };
 
 // Middleware
 app.use(cors(corsOptions));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
+app.use(cookieParser());
+app.use(requestContext);
 
 // Root route
 app.get('/', (req, res) => {
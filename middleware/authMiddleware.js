@@ -1,24 +1,79 @@
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const prisma = require('../utils/prisma');
+const { isSessionActive } = require('../utils/session');
+const { ACCESS_TOKEN_COOKIE, REFRESH_TOKEN_COOKIE, hasValidCsrfToken } = require('../utils/authCookies');
+const { requestHasPermission } = require('../utils/permissions');
+const { API_KEY_HEADER, findActiveApiKey, touchApiKey } = require('../utils/apiKeys');
+const { isPasswordLoginEnabled } = require('../utils/oidc');
+
+// Methods that never change state and so never need a CSRF token
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Read the access token from the Authorization header or the auth cookie.
+ * A bearer header wins, since browsers never attach it on their own.
+ * @param {Object} req - Express request
+ * @returns {{ token: String, fromCookie: Boolean }}
+ */
+const getAccessToken = (req) => {
+  if (
+    req.headers.authorization &&
+    req.headers.authorization.startsWith('Bearer')
+  ) {
+    return { token: req.headers.authorization.split(' ')[1], fromCookie: false };
+  }
+
+  if (req.cookies && req.cookies[ACCESS_TOKEN_COOKIE]) {
+    return { token: req.cookies[ACCESS_TOKEN_COOKIE], fromCookie: true };
+  }
+
+  return { token: undefined, fromCookie: false };
+};
+
+/**
+ * Authenticate a request made with an API key. The key acts on behalf of the
+ * user who issued it, limited to the key's scopes.
+ * @param {Object} req - Express request
+ * @returns {Promise<{ user: Object, apiKey: Object }|null>}
+ */
+const authenticateApiKey = async (req) => {
+  const apiKey = await findActiveApiKey(req.get(API_KEY_HEADER));
+  if (!apiKey) return null;
+
+  const user = await prisma.user.findUnique({
+    where: { id: apiKey.createdById }
+  });
+  if (!user || !user.isActive) return null;
+
+  await touchApiKey(apiKey, req);
+  return { user, apiKey };
+};
 
 /**
  * Middleware to protect routes and verify user authentication
  */
 exports.protect = async (req, res, next) => {
   try {
-    let token;
-    
-    // 1) Check if token exists in cookies or headers
-    if (req.cookies && req.cookies.token) {
-      token = req.cookies.token;
-    } else if (
-      req.headers.authorization &&
-      req.headers.authorization.startsWith('Bearer')
-    ) {
-      token = req.headers.authorization.split(' ')[1];
+    // 0) Server-to-server clients send an API key instead of a token
+    if (req.get(API_KEY_HEADER)) {
+      const auth = await authenticateApiKey(req);
+
+      if (!auth) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid, revoked or expired API key.'
+        });
+      }
+
+      req.user = auth.user;
+      req.apiKey = auth.apiKey;
+      req.authMethod = 'api-key';
+      return next();
     }
 
-    console.log(token)
+    // 1) Check if token exists in headers or cookies
+    const { token, fromCookie } = getAccessToken(req);
 
     if (!token) {
       return res.status(401).json({
@@ -30,8 +85,6 @@ exports.protect = async (req, res, next) => {
     // 2) Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
-    console.log(decoded)
-
     // 3) Check if user still exists
     const currentUser = await prisma.user.findUnique({
       where: { id: decoded.id }
@@ -44,6 +97,14 @@ exports.protect = async (req, res, next) => {
       });
     }
 
+    // 3b) Check the session behind the token has not been revoked
+    if (!(await isSessionActive(decoded.sid, currentUser.id))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Your session has ended. Please log in again.'
+      });
+    }
+
     // 4) Check if user is active
     if (!currentUser.isActive) {
       return res.status(401).json({
@@ -52,8 +113,18 @@ exports.protect = async (req, res, next) => {
       });
     }
 
+    // 5) Cookie-authenticated writes must carry the double-submit CSRF token
+    if (fromCookie && !SAFE_METHODS.includes(req.method) && !hasValidCsrfToken(req)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Invalid or missing CSRF token.'
+      });
+    }
+
     // Grant access to protected route
     req.user = currentUser;
+    req.sessionId = decoded.sid;
+    req.authMethod = fromCookie ? 'cookie' : 'bearer';
     next();
   } catch (error) {
     return res.status(401).json({
@@ -64,39 +135,108 @@ exports.protect = async (req, res, next) => {
 };
 
 /**
- * Middleware to restrict access based on user roles
- * @param {...String} roles - Roles allowed to access the route
+ * Middleware to restrict access to users whose role grants a permission.
+ * Requests made with an API key also need the permission in the key's scopes.
+ * @param {String} permission - Permission key, e.g. "news:publish"
  */
-exports.restrictTo = (...roles) => {
-  return (req, res, next) => {
-    // Check if user role is in the allowed roles
-    if (!roles.includes(req.user.role)) {
-      return res.status(403).json({
-        success: false,
-        message: 'You do not have permission to perform this action.'
-      });
+exports.can = (permission) => {
+  return async (req, res, next) => {
+    try {
+      if (!(await requestHasPermission(req, permission))) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to perform this action.'
+        });
+      }
+      next();
+    } catch (error) {
+      next(error);
     }
-    next();
   };
 };
 
+/**
+ * Middleware for routes that act on the signed-in user's own account or
+ * sessions, which API keys must never reach
+ */
+exports.userOnly = (req, res, next) => {
+  if (req.apiKey) {
+    return res.status(403).json({
+      success: false,
+      message: 'API keys cannot be used for this action.'
+    });
+  }
+  next();
+};
+
+/**
+ * Middleware for routes that sign in with, set or reset a password, which are
+ * switched off when the deployment only allows single sign-on
+ */
+exports.requirePasswordLogin = (req, res, next) => {
+  if (!isPasswordLoginEnabled()) {
+    return res.status(403).json({
+      success: false,
+      message: 'Password login is disabled. Please sign in with single sign-on.'
+    });
+  }
+  next();
+};
+
+/**
+ * Middleware for cookie-authenticated writes that do not go through protect,
+ * such as logout: a request carrying auth cookies must also carry the
+ * double-submit CSRF token. Header and body token clients are unaffected.
+ */
+exports.requireCsrf = (req, res, next) => {
+  const cookies = req.cookies || {};
+  const usesCookies = Boolean(cookies[ACCESS_TOKEN_COOKIE] || cookies[REFRESH_TOKEN_COOKIE]);
+
+  if (usesCookies && !hasValidCsrfToken(req)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Invalid or missing CSRF token.'
+    });
+  }
+  next();
+};
+
+/**
+ * Middleware for scheduled job endpoints. The scheduler (Vercel Cron) sends
+ * CRON_SECRET as a bearer token; the endpoints are closed when it is unset.
+ */
+exports.cronOnly = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const actual = Buffer.from(req.get('authorization') || '');
+
+  if (!secret || expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized to run scheduled jobs.'
+    });
+  }
+  next();
+};
+
 /**
  * Middleware to check if user is authenticated but allow public access
  * This will attach user data to req if authenticated but won't block if not
  */
 exports.optionalAuth = async (req, res, next) => {
   try {
-    let token;
-    
-    if (req.cookies && req.cookies.jwt) {
-      token = req.cookies.jwt;
-    } else if (
-      req.headers.authorization &&
-      req.headers.authorization.startsWith('Bearer')
-    ) {
-      token = req.headers.authorization.split(' ')[1];
+    if (req.get(API_KEY_HEADER)) {
+      const auth = await authenticateApiKey(req);
+      if (auth) {
+        req.user = auth.user;
+        req.apiKey = auth.apiKey;
+        req.authMethod = 'api-key';
+      }
+      return next();
     }
 
+    const { token, fromCookie } = getAccessToken(req);
+
     if (!token) {
       return next(); // Continue without authentication
     }
@@ -109,8 +249,10 @@ exports.optionalAuth = async (req, res, next) => {
       where: { id: decoded.id }
     });
 
-    if (currentUser && currentUser.isActive) {
+    if (currentUser && currentUser.isActive && await isSessionActive(decoded.sid, currentUser.id)) {
       req.user = currentUser;
+      req.sessionId = decoded.sid;
+      req.authMethod = fromCookie ? 'cookie' : 'bearer';
     }
     
     next();
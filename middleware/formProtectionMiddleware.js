@@ -0,0 +1,160 @@
+// middleware/formProtectionMiddleware.js
+
+/**
+ * In-memory hit counter used by default for rate limiting.
+ * Any object with the same async `increment(key, windowMs)` signature can be
+ * plugged in instead (e.g. a Redis-backed store when running several instances).
+ */
+class MemoryStore {
+  constructor() {
+    this.hits = new Map();
+  }
+
+  /**
+   * Count a hit for a key within a fixed window
+   * @param {String} key - Counter key
+   * @param {Number} windowMs - Window length in milliseconds
+   * @returns {Promise<{count: Number, resetTime: Date}>}
+   */
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let entry = this.hits.get(key);
+
+    if (!entry || entry.resetTime <= now) {
+      entry = { count: 0, resetTime: now + windowMs };
+      this.hits.set(key, entry);
+    }
+
+    entry.count += 1;
+    this.prune(now);
+
+    return { count: entry.count, resetTime: new Date(entry.resetTime) };
+  }
+
+  /**
+   * Drop expired windows so the map does not grow without bound
+   * @param {Number} now - Current timestamp
+   */
+  prune(now) {
+    if (this.hits.size < 1000) return;
+    for (const [key, entry] of this.hits) {
+      if (entry.resetTime <= now) this.hits.delete(key);
+    }
+  }
+}
+
+exports.MemoryStore = MemoryStore;
+
+let defaultStore = new MemoryStore();
+
+/**
+ * Replace the store used by limiters that don't specify their own
+ * @param {Object} store - Object implementing increment(key, windowMs)
+ */
+exports.setDefaultStore = (store) => {
+  defaultStore = store;
+};
+
+/**
+ * Send the shared "too many requests" response
+ * @param {Object} res - Express response
+ * @param {Date} resetTime - When the caller may try again
+ * @param {String} message - Message for the client
+ */
+const sendTooManyRequests = (res, resetTime, message) => {
+  const retryAfter = Math.max(1, Math.ceil((resetTime.getTime() - Date.now()) / 1000));
+
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    message,
+    retryAfter
+  });
+};
+
+/**
+ * Middleware factory protecting public form endpoints from abuse.
+ * Runs, in order: honeypot check, time-to-submit check, per-IP and per-email
+ * rate limits. The honeypot and timestamp fields are stripped from req.body
+ * before the controller runs.
+ * @param {Object} options - Protection options
+ * @param {String} options.name - Limiter name, used to namespace counters
+ * @param {Object} [options.perIp] - { max, windowMs } allowed submissions per client IP
+ * @param {Object} [options.perEmail] - { max, windowMs } allowed submissions per email address
+ * @param {String} [options.emailField='email'] - Body field holding the email address
+ * @param {String} [options.honeypotField='website'] - Hidden field that must stay empty
+ * @param {String} [options.timestampField='formRenderedAt'] - Body field with the ms timestamp the form was rendered
+ * @param {Number} [options.minSubmitMs=3000] - Submissions faster than this are rejected
+ * @param {Boolean} [options.requireTimestamp=false] - Reject submissions that don't send a timestamp
+ * @param {Object} [options.store] - Counter store, defaults to the shared in-memory store
+ * @param {String} [options.message] - Message returned with 429 responses
+ */
+exports.formProtection = (options) => {
+  const {
+    name,
+    perIp,
+    perEmail,
+    emailField = 'email',
+    honeypotField = 'website',
+    timestampField = 'formRenderedAt',
+    minSubmitMs = 3000,
+    requireTimestamp = false,
+    store,
+    message = 'Too many requests. Please try again later.'
+  } = options;
+
+  return async (req, res, next) => {
+    try {
+      const body = req.body || {};
+      const honeypot = body[honeypotField];
+      const renderedAt = body[timestampField];
+      delete body[honeypotField];
+      delete body[timestampField];
+
+      // 1) Hidden honeypot field filled in - almost certainly a bot
+      if (honeypot) {
+        return res.status(400).json({
+          success: false,
+          message: 'Unable to process your submission'
+        });
+      }
+
+      // 2) Form submitted faster than a human could fill it in
+      if (renderedAt !== undefined || requireTimestamp) {
+        const elapsed = Date.now() - Number(renderedAt);
+        if (!Number.isFinite(elapsed) || elapsed < minSubmitMs) {
+          return res.status(400).json({
+            success: false,
+            message: 'Unable to process your submission'
+          });
+        }
+      }
+
+      const counterStore = store || defaultStore;
+
+      // 3) Per-IP rate limit
+      if (perIp) {
+        const { count, resetTime } = await counterStore.increment(`${name}:ip:${req.ip}`, perIp.windowMs);
+        if (count > perIp.max) {
+          return sendTooManyRequests(res, resetTime, message);
+        }
+      }
+
+      // 4) Per-email rate limit
+      const email = body[emailField];
+      if (perEmail && typeof email === 'string' && email) {
+        const key = `${name}:email:${email.trim().toLowerCase()}`;
+        const { count, resetTime } = await counterStore.increment(key, perEmail.windowMs);
+        if (count > perEmail.max) {
+          return sendTooManyRequests(res, resetTime, message);
+        }
+      }
+
+      next();
+    } catch (error) {
+      // Never block legitimate users because the store is unavailable
+      console.error('Form protection error:', error);
+      next();
+    }
+  };
+};
@@ -3,6 +3,7 @@ const router = express.Router();
 const authController = require('../controllers/authController');
 const contactController = require('../controllers/contactController');
 const newsletterController = require('../controllers/newsletterController');
+const newsletterCampaignController = require('../controllers/newsletterCampaignController');
 const userController = require('../controllers/userController');
 const eventController = require('../controllers/eventController');
 const festivalHighlightController = require('../controllers/festivalHighlightController');
@@ -10,93 +11,245 @@ const festivalEventController = require('../controllers/festivalEventController'
 const transportationController = require('../controllers/transportationController');
 const newsController = require('../controllers/newsController');
 const blogController = require('../controllers/blogController');
+const twoFactorController = require('../controllers/twoFactorController');
+const roleController = require('../controllers/roleController');
+const accountController = require('../controllers/accountController');
+const auditLogController = require('../controllers/auditLogController');
+const apiKeyController = require('../controllers/apiKeyController');
+const jobController = require('../controllers/jobController');
 const multer = require('multer');
-const { protect, restrictTo, optionalAuth } = require('../middleware/authMiddleware');
+const { protect, can, userOnly, optionalAuth, requirePasswordLogin, requireCsrf, cronOnly } = require('../middleware/authMiddleware');
+const { formProtection } = require('../middleware/formProtectionMiddleware');
+const { bindContext } = require('../utils/requestContext');
 
-// Configure multer for memory storage (for Cloudinary uploads)
+// Configure multer for memory storage (for Cloudinary uploads).
+// Upload middleware is wrapped in bindContext so the audit log still sees the request.
 const storage = multer.memoryStorage();
 const upload = multer({ storage });
 
-// Auth routes - public
-router.post('/signup', authController.signup);
-router.post('/login', authController.login);
-router.post('/forgot-password', authController.forgotPassword);
+// Abuse protection for public forms that trigger outgoing email or check secrets
+// Signup, contact and newsletter forms must send formRenderedAt (ms when the form was shown)
+const MINUTE = 60 * 1000;
+const signupProtection = formProtection({
+  name: 'signup',
+  requireTimestamp: true,
+  perIp: { max: 5, windowMs: 60 * MINUTE },
+  perEmail: { max: 3, windowMs: 60 * MINUTE }
+});
+const contactProtection = formProtection({
+  name: 'contact',
+  requireTimestamp: true,
+  perIp: { max: 5, windowMs: 15 * MINUTE },
+  perEmail: { max: 3, windowMs: 60 * MINUTE }
+});
+const otpProtection = formProtection({
+  name: 'resend-otp',
+  perIp: { max: 10, windowMs: 60 * MINUTE },
+  perEmail: { max: 3, windowMs: 15 * MINUTE }
+});
+const forgotPasswordProtection = formProtection({
+  name: 'forgot-password',
+  perIp: { max: 10, windowMs: 60 * MINUTE },
+  perEmail: { max: 3, windowMs: 60 * MINUTE }
+});
+const resetPasswordProtection = formProtection({
+  name: 'reset-password',
+  perIp: { max: 10, windowMs: 15 * MINUTE }
+});
+const twoFactorLoginProtection = formProtection({
+  name: 'login-2fa',
+  perIp: { max: 20, windowMs: 15 * MINUTE }
+});
+const newsletterProtection = formProtection({
+  name: 'newsletter',
+  requireTimestamp: true,
+  perIp: { max: 10, windowMs: 60 * MINUTE },
+  perEmail: { max: 3, windowMs: 60 * MINUTE }
+});
+
+// Auth routes - public (requirePasswordLogin: off when PASSWORD_LOGIN_ENABLED=false)
+router.post('/signup', requirePasswordLogin, signupProtection, authController.signup);
+router.post('/login', requirePasswordLogin, authController.login);
+router.get('/login/methods', authController.getLoginMethods);              // Which login options the login page should offer
+router.get('/login/oidc', authController.oidcLogin);                       // Redirect to the identity provider (SSO)
+router.get('/login/oidc/callback', authController.oidcCallback);           // Identity provider redirects back here
+router.post('/login/2fa', twoFactorLoginProtection, authController.loginTwoFactor); // Second login step with TOTP or backup code
+router.post('/login/2fa/setup', twoFactorLoginProtection, authController.loginTwoFactorSetup); // Mandatory 2FA enrollment during login
+router.post('/login/2fa/enable', twoFactorLoginProtection, authController.loginTwoFactorEnable); // Finish mandatory enrollment and log in
+router.post('/forgot-password', requirePasswordLogin, forgotPasswordProtection, authController.forgotPassword);
 router.post('/verify-otp', authController.verifyOtp);
-router.post('/reset-password', authController.resetPassword); // Changed from '/reset-password/:token'
-router.get('/logout', authController.logout);
+router.get('/password-policy', authController.getPasswordPolicy);             // Password rules for signup and reset forms
+router.post('/resend-otp', otpProtection, authController.resendOtp);           // Send a new verification code
+router.post('/reset-password', requirePasswordLogin, resetPasswordProtection, authController.resetPassword); // Changed from '/reset-password/:token'
+router.get('/invitations/:token', authController.getInvitation);          // Look up an invitation for the accept form
+router.post('/invitations/accept', requirePasswordLogin, authController.acceptInvitation); // Set password and activate invited account
+router.post('/refresh', authController.refresh);
+router.post('/logout', requireCsrf, optionalAuth, authController.logout);         // Revoke the current session and clear auth cookies
+
+// Session routes - any logged in user (userOnly: never with an API key)
+router.post('/logout-all', protect, userOnly, authController.logoutAll);        // Revoke every session of the current user
+router.get('/sessions', protect, userOnly, authController.getMySessions);       // List the current user's active sessions
+router.delete('/sessions/:id', protect, userOnly, authController.revokeMySession); // Revoke one of the current user's sessions
+
+// Account routes - the logged in user's own profile, never with an API key
+router.get('/me', protect, userOnly, accountController.getMe);                           // Get own profile and permissions
+router.put('/me', protect, userOnly, accountController.updateMe);                        // Update own name
+router.put('/me/password', protect, userOnly, requirePasswordLogin, accountController.changeMyPassword); // Change password (requires current password)
+router.put('/me/email', protect, userOnly, requirePasswordLogin, accountController.changeMyEmail); // Start email change (confirm with /verify-otp)
+router.get('/me/content', protect, userOnly, accountController.getMyContent);            // List own blogs and news
+
+// Two-factor authentication routes - any logged in user without an API key, requirements need settings:manage
+router.get('/2fa', protect, userOnly, twoFactorController.getTwoFactorStatus);                                                  // Get 2FA status
+router.post('/2fa/setup', protect, userOnly, twoFactorController.setupTwoFactor);                                               // Start enrollment (returns provisioning URI)
+router.post('/2fa/enable', protect, userOnly, twoFactorController.enableTwoFactor);                                             // Confirm enrollment with a code
+router.post('/2fa/disable', protect, userOnly, twoFactorController.disableTwoFactor);                                           // Disable 2FA
+router.post('/2fa/backup-codes', protect, userOnly, twoFactorController.regenerateBackupCodes);                                 // Regenerate backup codes
+router.get('/2fa/requirements', protect, can('settings:manage'), twoFactorController.getTwoFactorRequirements);          // Roles that must use 2FA
+router.put('/2fa/requirements', protect, can('settings:manage'), twoFactorController.updateTwoFactorRequirement);        // Require 2FA for a role
+
+// Settings routes - settings:manage
+router.get('/settings/registration', protect, can('settings:manage'), userController.getRegistrationSettings);    // Get self-registration mode
+router.put('/settings/registration', protect, can('settings:manage'), userController.updateRegistrationSettings); // Set open, approval-required or closed
 
 // Contact routes - public
-router.post('/contact', contactController.submitContactForm);
+router.post('/contact', contactProtection, contactController.submitContactForm);
+
+// Contact inbox routes - contact:manage
+router.get('/contact/messages', protect, can('contact:manage'), contactController.getContactMessages);                     // List/search messages with pagination
+router.get('/contact/messages/:id', protect, can('contact:manage'), contactController.getContactMessageById);              // Read message (marks it as read)
+router.post('/contact/messages/:id/reply', protect, can('contact:manage'), contactController.replyToContactMessage);      // Email a reply and store it in the thread
+router.patch('/contact/messages/:id/handled', protect, can('contact:manage'), contactController.markContactMessageHandled); // Mark message as handled
+router.patch('/contact/messages/:id/assign', protect, can('contact:manage'), contactController.assignContactMessage);       // Assign message to a user
+router.patch('/contact/messages/:id/archive', protect, can('contact:manage'), contactController.archiveContactMessage);     // Archive message
+router.patch('/contact/messages/:id/reopen', protect, can('contact:manage'), contactController.reopenContactMessage);       // Move message back to the open inbox
+
+// User management routes - users:read to view, users:manage to change
+router.post('/user/', protect, can('users:manage'), userController.createUser);                    // Invite user
+router.get('/user/', protect, can('users:read'), userController.getUsers);             // Get all users with pagination
+router.post('/user/import', protect, can('users:manage'), bindContext(upload.single('file')), userController.importUsers); // Import users from CSV (?dryRun=true, ?invite=false)
+router.get('/user/export', protect, can('users:manage'), userController.exportUsers);             // Export users as CSV or JSON (same filters as the list)
+router.get('/user/registrations', protect, can('users:manage'), userController.getRegistrations);  // Self-registrations by approval status (pending queue by default)
+router.get('/user/:id', protect, can('users:read'), userController.getUserById);       // Get user by ID
+router.put('/user/:id', protect, can('users:manage'), userController.updateUser);                  // Update user (all fields optional)
+router.patch('/user/:id/password', protect, can('users:manage'), userController.updateUserPassword); // Update user password
+router.patch('/user/:id/toggle-status', protect, can('users:manage'), userController.toggleUserStatus); // Toggle active status
+router.get('/user/:id/activity', protect, can('users:manage'), userController.getUserActivity);  // Last login, dormancy state and login history
+router.get('/user/:id/lock', protect, can('users:manage'), userController.getUserLock);          // Get lockout state and failed logins
+router.delete('/user/:id/lock', protect, can('users:manage'), userController.clearUserLock);     // Unlock account
+router.post('/user/:id/invitation', protect, can('users:manage'), userController.resendInvitation);   // Resend invitation
+router.delete('/user/:id/invitation', protect, can('users:manage'), userController.revokeInvitation); // Revoke invitation and remove pending user
+router.post('/user/:id/approve', protect, can('users:manage'), userController.approveRegistration); // Approve pending signup and email the applicant
+router.post('/user/:id/reject', protect, can('users:manage'), userController.rejectRegistration);   // Reject pending signup and email the applicant
+router.delete('/user/:id', protect, can('users:manage'), userController.deleteUser);               // Delete (anonymise) user, optionally transferring content
+router.post('/user/:id/restore', protect, can('users:manage'), userController.restoreUser);        // Restore a deleted user within the restore window
 
-// User management routes (protected and admin-only)
-router.post('/user/', protect, restrictTo('ADMIN'), userController.createUser);                    // Create user
-router.get('/user/', protect, restrictTo('ADMIN', 'EDITOR'), userController.getUsers);             // Get all users with pagination
-router.get('/user/:id', protect, restrictTo('ADMIN', 'EDITOR'), userController.getUserById);       // Get user by ID
-router.put('/user/:id', protect, restrictTo('ADMIN'), userController.updateUser);                  // Update user (all fields optional)
-router.patch('/user/:id/password', protect, restrictTo('ADMIN'), userController.updateUserPassword); // Update user password
-router.patch('/user/:id/toggle-status', protect, restrictTo('ADMIN'), userController.toggleUserStatus); // Toggle active status
-router.delete('/user/:id', protect, restrictTo('ADMIN'), userController.deleteUser);               // Delete user
+// Role routes - roles:manage
+router.get('/roles/permissions', protect, can('roles:manage'), roleController.getPermissions); // List grantable permissions
+router.get('/roles', protect, can('roles:manage'), roleController.getRoles);                  // List roles with user counts
+router.post('/roles', protect, can('roles:manage'), roleController.createRole);               // Create custom role
+router.put('/roles/:name', protect, can('roles:manage'), roleController.updateRole);          // Update role label or permissions
+router.delete('/roles/:name', protect, can('roles:manage'), roleController.deleteRole);       // Delete unused custom role
+
+// API key routes - api-keys:manage, only from a signed-in session
+router.get('/api-keys', protect, userOnly, can('api-keys:manage'), apiKeyController.getApiKeys);         // List API keys (never the keys themselves)
+router.post('/api-keys', protect, userOnly, can('api-keys:manage'), apiKeyController.createApiKey);      // Issue API key (shown once)
+router.delete('/api-keys/:id', protect, userOnly, can('api-keys:manage'), apiKeyController.revokeApiKey); // Revoke API key
+
+// Scheduled job routes - called by Vercel Cron (see vercel.json) with CRON_SECRET
+router.get('/jobs/purge-deleted-users', cronOnly, jobController.purgeDeletedUsers); // Purge deleted users past the restore window
+router.get('/jobs/deactivate-dormant-users', cronOnly, jobController.deactivateDormantUsers); // Warn, then deactivate unused accounts
+router.get('/jobs/apply-content-schedules', cronOnly, jobController.applyContentSchedules); // Publish and unpublish content at publishAt/unpublishAt
+router.get('/jobs/resume-campaign-sends', cronOnly, jobController.resumeCampaignSends); // Continue newsletter sends that stopped part way
+
+// Content pull - for integrations, usually an API key with the content:pull scope
+router.post('/content/pull', protect, can('content:pull'), jobController.pullContent); // Apply due schedules and ask the frontend to refresh
+
+// Audit log routes - audit:read
+router.get('/audit-logs', protect, can('audit:read'), auditLogController.getAuditLogs);         // Search audit log with pagination
+router.get('/audit-logs/:id', protect, can('audit:read'), auditLogController.getAuditLogById);  // Get audit log entry by ID
 
 // Newsletter routes - mixed access
-router.post('/newsletter/subscribe', newsletterController.subscribeToNewsletter);       // Public
-router.post('/newsletter/unsubscribe', newsletterController.unsubscribeFromNewsletter); // Public
-router.get('/newsletter/stats', protect, restrictTo('ADMIN', 'EDITOR'), newsletterController.getNewsletterStats); // Protected
+router.post('/newsletter/subscribe', newsletterProtection, newsletterController.subscribeToNewsletter); // Public
+router.post('/newsletter/unsubscribe', newsletterController.unsubscribeFromNewsletter); // Public - token in body
+router.post('/newsletter/unsubscribe/:token', newsletterController.unsubscribeFromNewsletter); // Public - signed link / RFC 8058 one-click
+router.get('/newsletter/confirm/:token', newsletterController.confirmSubscription);     // Public - double opt-in confirmation
+router.get('/newsletter/stats', protect, can('newsletter:read'), newsletterController.getNewsletterStats); // Protected
+
+// Newsletter campaign routes - newsletter:write, sending needs newsletter:send
+router.post('/newsletter/campaigns', protect, can('newsletter:write'), newsletterCampaignController.createCampaign);               // Create campaign draft
+router.get('/newsletter/campaigns', protect, can('newsletter:write'), newsletterCampaignController.getCampaigns);                  // Get all campaigns with pagination
+router.get('/newsletter/campaigns/:id', protect, can('newsletter:write'), newsletterCampaignController.getCampaignById);           // Get campaign by ID
+router.get('/newsletter/campaigns/:id/preview', protect, can('newsletter:write'), newsletterCampaignController.previewCampaign);   // Render campaign HTML
+router.put('/newsletter/campaigns/:id', protect, can('newsletter:write'), newsletterCampaignController.updateCampaign);            // Update campaign draft
+router.post('/newsletter/campaigns/:id/test', protect, can('newsletter:write'), newsletterCampaignController.sendTestCampaign);   // Send test email to one address
+router.post('/newsletter/campaigns/:id/send', protect, can('newsletter:send'), newsletterCampaignController.sendCampaign);       // Send campaign to active subscribers not yet reached
+router.delete('/newsletter/campaigns/:id', protect, can('newsletter:write'), newsletterCampaignController.deleteCampaign);         // Delete unsent campaign
 
-// Event management routes - ADMIN only
-router.post('/events', eventController.createEvent);                 // Create event
-router.get('/events', eventController.getEvents);          // Get all events with pagination
+// Event management routes - events:manage
+router.post('/events', protect, can('events:manage'), eventController.createEvent);                 // Create event
+router.get('/events', optionalAuth, eventController.getEvents); // Get all events with pagination - hidden ones need events:manage
 router.get('/events/:id', optionalAuth, eventController.getEventById);                                   // Get event by ID - public with auth optional
-router.put('/events/:id', protect, restrictTo('ADMIN'), eventController.updateEvent);              // Update event (all fields optional)
-router.patch('/events/:id/toggle-status', protect, restrictTo('ADMIN'), eventController.toggleEventStatus); // Toggle active status
-router.delete('/events/:id', protect, restrictTo('ADMIN'), eventController.deleteEvent);           // Delete event
+router.put('/events/:id', protect, can('events:manage'), eventController.updateEvent);              // Update event (all fields optional)
+router.patch('/events/:id/toggle-status', protect, can('events:manage'), eventController.toggleEventStatus); // Toggle active status
+router.delete('/events/:id', protect, can('events:manage'), eventController.deleteEvent);           // Delete event
 
-// Festival Events routes - ADMIN only
-router.post('/festival-events', protect, restrictTo('ADMIN'), festivalEventController.createFestivalEvent);                 // Create festival event
-router.get('/festival-events', festivalEventController.getFestivalEvents);          // Get all festival events with pagination
+// Festival Events routes - festival-events:manage
+router.post('/festival-events', protect, can('festival-events:manage'), festivalEventController.createFestivalEvent);                 // Create festival event
+router.get('/festival-events', optionalAuth, festivalEventController.getFestivalEvents); // Get all festival events with pagination - hidden ones need festival-events:manage
 router.get('/festival-events/public', festivalEventController.getPublicFestivalEvents);                                           // Get public festival events (active only) - public
 router.get('/festival-events/:id', optionalAuth, festivalEventController.getFestivalEventById);                                   // Get festival event by ID - public with auth optional
-router.put('/festival-events/:id', protect, restrictTo('ADMIN'), festivalEventController.updateFestivalEvent);              // Update festival event
-router.patch('/festival-events/:id/toggle-status', protect, restrictTo('ADMIN'), festivalEventController.toggleFestivalEventStatus); // Toggle active status
-router.delete('/festival-events/:id', protect, restrictTo('ADMIN'), festivalEventController.deleteFestivalEvent);           // Delete festival event
+router.put('/festival-events/:id', protect, can('festival-events:manage'), festivalEventController.updateFestivalEvent);              // Update festival event
+router.patch('/festival-events/:id/toggle-status', protect, can('festival-events:manage'), festivalEventController.toggleFestivalEventStatus); // Toggle active status
+router.delete('/festival-events/:id', protect, can('festival-events:manage'), festivalEventController.deleteFestivalEvent);           // Delete festival event
 
-// Festival Highlights routes - ADMIN only
-router.post('/festival-highlights', protect, restrictTo('ADMIN'), festivalHighlightController.createFestivalHighlight);                 // Create highlight
+// Festival Highlights routes - festival-highlights:manage
+router.post('/festival-highlights', protect, can('festival-highlights:manage'), festivalHighlightController.createFestivalHighlight);                 // Create highlight
 router.get('/festival-highlights', festivalHighlightController.getFestivalHighlights);          // Get all highlights with pagination
 router.get('/festival-highlights/public', festivalHighlightController.getPublicFestivalHighlights);                                           // Get public highlights (active only) - public
 router.get('/festival-highlights/:id', optionalAuth, festivalHighlightController.getFestivalHighlightById);                                   // Get highlight by ID - public with auth optional
-router.put('/festival-highlights/:id', protect, restrictTo('ADMIN'), festivalHighlightController.updateFestivalHighlight);              // Update highlight
-router.patch('/festival-highlights/:id/toggle-status', protect, restrictTo('ADMIN'), festivalHighlightController.toggleFestivalHighlightStatus); // Toggle active status
-router.delete('/festival-highlights/:id', protect, restrictTo('ADMIN'), festivalHighlightController.deleteFestivalHighlight);           // Delete highlight
+router.put('/festival-highlights/:id', protect, can('festival-highlights:manage'), festivalHighlightController.updateFestivalHighlight);              // Update highlight
+router.patch('/festival-highlights/:id/toggle-status', protect, can('festival-highlights:manage'), festivalHighlightController.toggleFestivalHighlightStatus); // Toggle active status
+router.delete('/festival-highlights/:id', protect, can('festival-highlights:manage'), festivalHighlightController.deleteFestivalHighlight);           // Delete highlight
 
-// Transportation routes - ADMIN only
-router.post('/transportations', protect, restrictTo('ADMIN'), transportationController.createTransportation);                 // Create transportation option
+// Transportation routes - transportation:manage
+router.post('/transportations', protect, can('transportation:manage'), transportationController.createTransportation);                 // Create transportation option
 router.get('/transportations', transportationController.getAllTransportations);       // Get all transportation options with pagination
 router.get('/transportations/public', transportationController.getPublicTransportations);                                           // Get public transportation options (active only) - public
 router.get('/transportations/:id', optionalAuth, transportationController.getTransportationById);                                   // Get transportation option by ID - public with auth optional
-router.put('/transportations/:id', protect, restrictTo('ADMIN'), transportationController.updateTransportation);              // Update transportation option
-router.patch('/transportations/:id/toggle-status', protect, restrictTo('ADMIN'), transportationController.toggleTransportationStatus); // Toggle active status
-router.delete('/transportations/:id', protect, restrictTo('ADMIN'), transportationController.deleteTransportation);           // Delete transportation option
+router.put('/transportations/:id', protect, can('transportation:manage'), transportationController.updateTransportation);              // Update transportation option
+router.patch('/transportations/:id/toggle-status', protect, can('transportation:manage'), transportationController.toggleTransportationStatus); // Toggle active status
+router.delete('/transportations/:id', protect, can('transportation:manage'), transportationController.deleteTransportation);           // Delete transportation option
 
-// News routes - EDITORs and ADMIN can manage
-router.post('/news', protect, restrictTo('ADMIN', 'EDITOR'), upload.single('imageFile'), newsController.createNews);                 // Create news with optional image upload
-router.get('/news', newsController.getAllNews);                                              // Get all news with pagination
+// News routes - news:write, news:publish and news:delete
+router.post('/news', protect, can('news:write'), bindContext(upload.single('imageFile')), newsController.createNews);                 // Create news with optional image upload
+router.get('/news', optionalAuth, newsController.getAllNews);                                // Get all news with pagination - drafts need news:write
 router.get('/news/public', newsController.getPublicNews);                                                                                  // Get public news (active only) - public
 router.get('/news/trending', newsController.getTrendingNews);                                                                              // Get trending news - public
 router.get('/news/:id', optionalAuth, newsController.getNewsById);                                                                         // Get news by ID - public with auth optional
-router.put('/news/:id', protect, restrictTo('ADMIN', 'EDITOR'), upload.single('imageFile'), newsController.updateNews);              // Update news with optional image upload
-router.patch('/news/:id/toggle-status', protect, restrictTo('ADMIN', 'EDITOR'), newsController.toggleNewsStatus);                    // Toggle active status
-router.patch('/news/:id/toggle-trending', protect, restrictTo('ADMIN', 'EDITOR'), newsController.toggleTrendingStatus);              // Toggle trending status
-router.delete('/news/:id', protect, restrictTo('ADMIN', 'EDITOR'), newsController.deleteNews);                                       // Delete news
-
-// Blog routes - EDITORs and ADMIN can manage
-router.post('/blogs', protect, restrictTo('ADMIN', 'EDITOR'), upload.single('pdfFile'), blogController.createBlog);                 // Create blog with optional PDF upload
-router.get('/blogs', blogController.getAllBlogs);                                           // Get all blogs with pagination
+router.put('/news/:id', protect, can('news:write'), bindContext(upload.single('imageFile')), newsController.updateNews);              // Update news with optional image upload
+router.patch('/news/:id/status', protect, can('news:write'), newsController.updateNewsStatus);                          // Move through draft/review/publish - publishing needs news:publish
+router.patch('/news/:id/toggle-status', protect, can('news:publish'), newsController.toggleNewsStatus);                    // Toggle between published and archived
+router.patch('/news/:id/toggle-trending', protect, can('news:publish'), newsController.toggleTrendingStatus);              // Toggle trending status
+router.delete('/news/:id', protect, can('news:delete'), newsController.deleteNews);                                       // Delete news
+router.get('/news/:id/revisions', protect, can('news:write'), newsController.getNewsRevisions);                          // List revisions, newest first
+router.get('/news/:id/revisions/diff', protect, can('news:write'), newsController.diffNewsRevisions);                      // Field diff between two revisions (?from=&to=)
+router.get('/news/:id/revisions/:number', protect, can('news:write'), newsController.getNewsRevision);                     // Get one revision with its content
+router.post('/news/:id/revisions/:number/restore', protect, can('news:write'), newsController.restoreNewsRevision);        // Restore a revision as a new revision
+
+// Blog routes - blog:write, blog:publish and blog:delete
+router.post('/blogs', protect, can('blog:write'), bindContext(upload.single('pdfFile')), blogController.createBlog);                 // Create blog with optional PDF upload
+router.get('/blogs', optionalAuth, blogController.getAllBlogs);                             // Get all blogs with pagination - drafts need blog:write
 router.get('/blogs/public', blogController.getPublicBlogs);                                                                               // Get public blogs (active only) - public
 router.get('/blogs/featured', blogController.getFeaturedBlogs);                                                                           // Get featured blogs - public
 router.get('/blogs/:id', optionalAuth, blogController.getBlogById);                                                                       // Get blog by ID - public with auth optional
-router.put('/blogs/:id', protect, restrictTo('ADMIN', 'EDITOR'), upload.single('pdfFile'), blogController.updateBlog);              // Update blog with optional PDF upload
-router.patch('/blogs/:id/toggle-status', protect, restrictTo('ADMIN', 'EDITOR'), blogController.toggleBlogStatus);                  // Toggle active status
-router.patch('/blogs/:id/toggle-featured', protect, restrictTo('ADMIN', 'EDITOR'), blogController.toggleFeaturedStatus);            // Toggle featured status
-router.delete('/blogs/:id', protect, restrictTo('ADMIN', 'EDITOR'), blogController.deleteBlog);                                     // Delete blog
+router.put('/blogs/:id', protect, can('blog:write'), bindContext(upload.single('pdfFile')), blogController.updateBlog);              // Update blog with optional PDF upload
+router.patch('/blogs/:id/status', protect, can('blog:write'), blogController.updateBlogStatus);                        // Move through draft/review/publish - publishing needs blog:publish
+router.patch('/blogs/:id/toggle-status', protect, can('blog:publish'), blogController.toggleBlogStatus);                  // Toggle between published and archived
+router.patch('/blogs/:id/toggle-featured', protect, can('blog:publish'), blogController.toggleFeaturedStatus);            // Toggle featured status
+router.delete('/blogs/:id', protect, can('blog:delete'), blogController.deleteBlog);                                     // Delete blog
+router.get('/blogs/:id/revisions', protect, can('blog:write'), blogController.getBlogRevisions);                          // List revisions, newest first
+router.get('/blogs/:id/revisions/diff', protect, can('blog:write'), blogController.diffBlogRevisions);                      // Field diff between two revisions (?from=&to=)
+router.get('/blogs/:id/revisions/:number', protect, can('blog:write'), blogController.getBlogRevision);                     // Get one revision with its content
+router.post('/blogs/:id/revisions/:number/restore', protect, can('blog:write'), blogController.restoreBlogRevision);        // Restore a revision as a new revision
 
 module.exports = router;
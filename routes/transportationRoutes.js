@@ -2,17 +2,17 @@
 const express = require('express');
 const router = express.Router();
 const transportationController = require('../controllers/transportationController');
-const { protect, restrictTo } = require('../middleware/authMiddleware');
+const { protect, can } = require('../middleware/authMiddleware');
 
 // Public routes
 router.get('/public', transportationController.getPublicTransportations);
 
-// Protected routes (admin only)
-router.get('/', protect, restrictTo('admin', 'super-admin'), transportationController.getAllTransportations);
-router.post('/', protect, restrictTo('admin', 'super-admin'), transportationController.createTransportation);
-router.get('/:id', protect, restrictTo('admin', 'super-admin'), transportationController.getTransportationById);
-router.put('/:id', protect, restrictTo('admin', 'super-admin'), transportationController.updateTransportation);
-router.delete('/:id', protect, restrictTo('admin', 'super-admin'), transportationController.deleteTransportation);
-router.patch('/:id/toggle-status', protect, restrictTo('admin', 'super-admin'), transportationController.toggleTransportationStatus);
+// Protected routes (transportation:manage)
+router.get('/', protect, can('transportation:manage'), transportationController.getAllTransportations);
+router.post('/', protect, can('transportation:manage'), transportationController.createTransportation);
+router.get('/:id', protect, can('transportation:manage'), transportationController.getTransportationById);
+router.put('/:id', protect, can('transportation:manage'), transportationController.updateTransportation);
+router.delete('/:id', protect, can('transportation:manage'), transportationController.deleteTransportation);
+router.patch('/:id/toggle-status', protect, can('transportation:manage'), transportationController.toggleTransportationStatus);
 
 module.exports = router;
@@ -0,0 +1,56 @@
+// utils/apiKeys.js
+const crypto = require('crypto');
+const prisma = require('./prisma');
+
+const KEY_PREFIX = 'ak_';
+// Only record usage once per interval, so busy clients don't write on every request
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+// Header server-to-server clients send instead of a bearer token
+exports.API_KEY_HEADER = 'x-api-key';
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Generate a new API key
+ * @returns {{ key: String, keyHash: String, keyPrefix: String }} The plain key
+ * is returned to the caller once; only the hash is stored
+ */
+exports.generateApiKey = () => {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  return { key, keyHash: hashKey(key), keyPrefix: key.slice(0, KEY_PREFIX.length + 8) };
+};
+
+/**
+ * Look up a usable API key
+ * @param {String} key - Key from the X-API-Key header
+ * @returns {Promise<Object|null>} The key record, or null if unknown, revoked or expired
+ */
+exports.findActiveApiKey = async (key) => {
+  if (!key || !key.startsWith(KEY_PREFIX)) return null;
+
+  const apiKey = await prisma.apiKey.findUnique({
+    where: { keyHash: hashKey(key) }
+  });
+
+  if (!apiKey || apiKey.revokedAt) return null;
+  if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) return null;
+
+  return apiKey;
+};
+
+/**
+ * Record that a key was used
+ * @param {Object} apiKey - Key record
+ * @param {Object} req - Express request
+ */
+exports.touchApiKey = async (apiKey, req) => {
+  if (apiKey.lastUsedAt && Date.now() - apiKey.lastUsedAt.getTime() < LAST_USED_INTERVAL_MS) {
+    return;
+  }
+
+  await prisma.apiKey.update({
+    where: { id: apiKey.id },
+    data: { lastUsedAt: new Date(), lastUsedIp: req.ip || null }
+  });
+};
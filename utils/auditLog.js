@@ -0,0 +1,177 @@
+// utils/auditLog.js
+const { getCurrentRequest } = require('./requestContext');
+
+const AUDITED_OPERATIONS = ['create', 'update', 'upsert', 'delete', 'updateMany', 'deleteMany'];
+
+// Bookkeeping models that change on every request and would drown out real actions.
+// Content revisions repeat the News and Blog changes that are already logged.
+const SKIPPED_MODELS = ['AuditLog', 'Session', 'LoginAttempt', 'ContentRevision'];
+
+// Recorded as changed, but never with their values
+const REDACTED_FIELDS = [
+  'password',
+  'passwordHistory',
+  'twoFactorSecret',
+  'twoFactorBackupCodes',
+  'resetPasswordToken',
+  'verificationToken',
+  'inviteTokenId'
+];
+const IGNORED_FIELDS = ['updatedAt'];
+
+// Bulk operations only keep snapshots for this many records
+const MAX_BULK_RECORDS = 100;
+
+/**
+ * The client property for a model, e.g. "NewsletterCampaign" -> "newsletterCampaign"
+ */
+const delegateFor = (client, model) => client[model.charAt(0).toLowerCase() + model.slice(1)];
+
+/**
+ * Make a record JSON safe (dates become ISO strings)
+ */
+const toPlain = (record) => (record ? JSON.parse(JSON.stringify(record)) : null);
+
+/**
+ * Field-by-field difference between two snapshots
+ * @param {Object|null} before - Record before the change
+ * @param {Object|null} after - Record after the change
+ * @returns {Object} { field: { from, to } } for every changed field
+ */
+const diff = (before, after) => {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const field of fields) {
+    if (field === 'id' || IGNORED_FIELDS.includes(field)) continue;
+
+    const from = before && before[field] !== undefined ? before[field] : null;
+    const to = after && after[field] !== undefined ? after[field] : null;
+    if (JSON.stringify(from) === JSON.stringify(to)) continue;
+
+    changes[field] = REDACTED_FIELDS.includes(field)
+      ? { from: '[REDACTED]', to: '[REDACTED]' }
+      : { from, to };
+  }
+
+  return changes;
+};
+
+/**
+ * Name the action for a log entry
+ * @param {String} operation - Prisma operation
+ * @param {Object|null} before - Record before the change
+ * @param {Object} req - Express request
+ */
+const actionFor = (operation, before, req) => {
+  if (operation.startsWith('delete')) return 'DELETE';
+  if (!before) return 'CREATE';
+  // Toggle endpoints flip a flag through a plain update
+  if (/\/toggle-[\w-]+$/.test(req.originalUrl.split('?')[0])) return 'TOGGLE';
+  return 'UPDATE';
+};
+
+/**
+ * Load the records an operation is about to change
+ */
+const snapshotBefore = async (table, operation, args) => {
+  if (operation === 'create') return [];
+  if (operation.endsWith('Many')) {
+    return table.findMany({ where: args.where, take: MAX_BULK_RECORDS });
+  }
+
+  const record = await table.findUnique({ where: args.where });
+  return record ? [record] : [];
+};
+
+/**
+ * Load the same records once the operation has run. Results are re-read
+ * because callers often narrow them with select.
+ */
+const snapshotAfter = async (table, operation, before, result) => {
+  if (operation.startsWith('delete')) return before.map(() => null);
+
+  if (operation === 'updateMany') {
+    const records = await table.findMany({
+      where: { id: { in: before.map(record => record.id) } }
+    });
+    return before.map(record => records.find(updated => updated.id === record.id) || null);
+  }
+
+  const id = before.length > 0 ? before[0].id : result && result.id;
+  return [id ? await table.findUnique({ where: { id } }) : null];
+};
+
+/**
+ * Extend a Prisma client so every create, update, delete and toggle made by a
+ * signed-in user is written to the audit log with a before/after diff.
+ * Changes made without a signed-in user (public forms, logins) are not logged.
+ * @param {Object} client - Base PrismaClient, also used to write the entries
+ * @returns {Object} Extended client
+ */
+exports.withAuditLog = (client) => {
+  return client.$extends({
+    name: 'auditLog',
+    query: {
+      $allModels: {
+        async $allOperations({ model, operation, args, query }) {
+          const req = getCurrentRequest();
+
+          if (
+            !AUDITED_OPERATIONS.includes(operation) ||
+            SKIPPED_MODELS.includes(model) ||
+            !req ||
+            !req.user
+          ) {
+            return query(args);
+          }
+
+          const table = delegateFor(client, model);
+
+          let before;
+          try {
+            before = await snapshotBefore(table, operation, args);
+          } catch (error) {
+            console.error('Audit log snapshot error:', error);
+            return query(args);
+          }
+
+          const result = await query(args);
+
+          try {
+            const after = await snapshotAfter(table, operation, before, result);
+            const pairs = before.length > 0
+              ? before.map((record, index) => [record, after[index]])
+              : [[null, after[0]]];
+
+            const entries = pairs
+              .map(([previous, next]) => ({
+                entityId: (next || previous || {}).id || null,
+                action: actionFor(operation, previous, req),
+                changes: diff(toPlain(previous), toPlain(next))
+              }))
+              .filter(entry => Object.keys(entry.changes).length > 0);
+
+            if (entries.length > 0) {
+              await client.auditLog.createMany({
+                data: entries.map(entry => ({
+                  ...entry,
+                  entityType: model,
+                  actorId: req.user.id,
+                  actorEmail: req.user.email,
+                  actorRole: req.user.role,
+                  route: `${req.method} ${req.originalUrl.split('?')[0]}`,
+                  ipAddress: req.ip || null
+                }))
+              });
+            }
+          } catch (error) {
+            console.error('Audit log write error:', error);
+          }
+
+          return result;
+        }
+      }
+    }
+  });
+};
@@ -0,0 +1,92 @@
+// utils/authCookies.js
+const crypto = require('crypto');
+const { REFRESH_TOKEN_EXPIRES_DAYS } = require('./session');
+
+// One set of cookie names shared by login, protect, optionalAuth and logout
+exports.ACCESS_TOKEN_COOKIE = 'jwt';
+exports.REFRESH_TOKEN_COOKIE = 'refreshToken';
+exports.CSRF_COOKIE = 'csrfToken';
+exports.CSRF_HEADER = 'x-csrf-token';
+// Holds the signed PKCE/state token between the SSO redirect and its callback
+exports.OIDC_STATE_COOKIE = 'oidcState';
+
+/**
+ * Base options for every auth cookie. SameSite defaults to "lax"; set
+ * COOKIE_SAME_SITE=none when the frontend is served from another site, which
+ * also forces the Secure flag as browsers require.
+ * @param {Boolean} httpOnly - Hide the cookie from client-side scripts
+ */
+const baseCookieOptions = (httpOnly) => {
+  const sameSite = (process.env.COOKIE_SAME_SITE || 'lax').toLowerCase();
+
+  return {
+    httpOnly,
+    sameSite,
+    secure: sameSite === 'none' || process.env.NODE_ENV === 'production',
+    path: '/',
+    ...(process.env.COOKIE_DOMAIN && { domain: process.env.COOKIE_DOMAIN })
+  };
+};
+
+/**
+ * Set the access, refresh and CSRF cookies for a session
+ * @param {Object} res - Express response
+ * @param {String} accessToken - Access token JWT
+ * @param {String} refreshToken - Refresh token
+ * @returns {String} The CSRF token, to be echoed back in the X-CSRF-Token header
+ */
+exports.setAuthCookies = (res, accessToken, refreshToken) => {
+  const expires = new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000);
+  const csrfToken = crypto.randomBytes(32).toString('hex');
+
+  res.cookie(exports.ACCESS_TOKEN_COOKIE, accessToken, { ...baseCookieOptions(true), expires });
+  res.cookie(exports.REFRESH_TOKEN_COOKIE, refreshToken, { ...baseCookieOptions(true), expires });
+  // Readable by the frontend so it can send the double-submit header
+  res.cookie(exports.CSRF_COOKIE, csrfToken, { ...baseCookieOptions(false), expires });
+
+  return csrfToken;
+};
+
+/**
+ * Remove all auth cookies
+ * @param {Object} res - Express response
+ */
+exports.clearAuthCookies = (res) => {
+  res.clearCookie(exports.ACCESS_TOKEN_COOKIE, baseCookieOptions(true));
+  res.clearCookie(exports.REFRESH_TOKEN_COOKIE, baseCookieOptions(true));
+  res.clearCookie(exports.CSRF_COOKIE, baseCookieOptions(false));
+};
+
+/**
+ * Keep the single sign-on login state until the identity provider redirects back
+ * @param {Object} res - Express response
+ * @param {String} stateToken - Signed login state
+ * @param {Number} maxAgeMs - How long the login may take
+ */
+exports.setOidcStateCookie = (res, stateToken, maxAgeMs) => {
+  res.cookie(exports.OIDC_STATE_COOKIE, stateToken, { ...baseCookieOptions(true), maxAge: maxAgeMs });
+};
+
+/**
+ * Remove the single sign-on login state once the callback has used it
+ * @param {Object} res - Express response
+ */
+exports.clearOidcStateCookie = (res) => {
+  res.clearCookie(exports.OIDC_STATE_COOKIE, baseCookieOptions(true));
+};
+
+/**
+ * Double-submit check: the X-CSRF-Token header must match the CSRF cookie
+ * @param {Object} req - Express request
+ * @returns {Boolean}
+ */
+exports.hasValidCsrfToken = (req) => {
+  const cookieToken = req.cookies && req.cookies[exports.CSRF_COOKIE];
+  const headerToken = req.get(exports.CSRF_HEADER);
+
+  if (!cookieToken || !headerToken) return false;
+
+  const expected = Buffer.from(String(cookieToken));
+  const actual = Buffer.from(String(headerToken));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
@@ -0,0 +1,174 @@
+// utils/campaignDelivery.js
+const prisma = require('./prisma');
+const { sendNewsletterEmail } = require('./email');
+
+/**
+ * Statuses a send can start from. PARTIAL and FAILED runs are retried; only
+ * subscribers without a successful delivery are emailed again.
+ */
+exports.SENDABLE_STATUSES = ['DRAFT', 'PARTIAL', 'FAILED'];
+
+// How long one run may send before handing over, so it finishes inside the
+// serverless function limit. The rest is picked up by the next run.
+const SEND_TIME_BUDGET_MS = parseInt(process.env.CAMPAIGN_SEND_BUDGET_MS) || 8000;
+
+// A run that dies without releasing its lease can be resumed after this
+const SEND_LEASE_MS = SEND_TIME_BUDGET_MS + 60 * 1000;
+
+const BATCH_SIZE = 50;
+
+const leaseExpired = (now) => ({
+  OR: [{ sendLeaseUntil: { isSet: false } }, { sendLeaseUntil: null }, { sendLeaseUntil: { lt: now } }]
+});
+
+/**
+ * Claim a campaign for a send run. A sendable campaign starts a new pass over
+ * the subscribers; one stuck in SENDING whose previous run stopped without
+ * finishing carries on after that run's cursor.
+ * @param {String} id - Campaign id
+ * @param {String} [sentById] - User starting the send
+ * @returns {Promise<Object|null>} The claimed campaign, or null if it cannot be sent or another run owns it
+ */
+exports.claimCampaign = async (id, sentById) => {
+  const now = new Date();
+  const claim = {
+    status: 'SENDING',
+    sendLeaseUntil: new Date(now.getTime() + SEND_LEASE_MS),
+    ...(sentById && { sentById })
+  };
+
+  let { count } = await prisma.newsletterCampaign.updateMany({
+    where: { id, status: { in: exports.SENDABLE_STATUSES } },
+    data: { ...claim, sendCursor: null }
+  });
+  if (count === 0) {
+    ({ count } = await prisma.newsletterCampaign.updateMany({
+      where: { id, status: 'SENDING', ...leaseExpired(now) },
+      data: claim
+    }));
+  }
+
+  return count > 0 ? prisma.newsletterCampaign.findUnique({ where: { id } }) : null;
+};
+
+/**
+ * Delivery counts of a campaign
+ * @param {String} campaignId - Campaign id
+ * @returns {Promise<{ recipientCount: Number, sentCount: Number, failedCount: Number }>}
+ */
+const countDeliveries = async (campaignId) => {
+  const [sentCount, failedCount] = await Promise.all([
+    prisma.campaignDelivery.count({ where: { campaignId, status: 'SENT' } }),
+    prisma.campaignDelivery.count({ where: { campaignId, status: 'FAILED' } })
+  ]);
+  return { recipientCount: sentCount + failedCount, sentCount, failedCount };
+};
+
+/**
+ * Send a claimed campaign to every active subscriber who has not received
+ * it yet, recording each delivery. Stops after SEND_TIME_BUDGET_MS and
+ * leaves the campaign in SENDING with its lease released and its cursor
+ * saved, so a later run carries on where this one stopped. Each subscriber
+ * is tried once per pass: failures are only retried by sending a PARTIAL or
+ * FAILED campaign again.
+ * @param {Object} campaign - Campaign returned by claimCampaign
+ * @returns {Promise<{ campaign: Object, done: Boolean }>}
+ */
+exports.runCampaign = async (campaign) => {
+  const deadline = Date.now() + SEND_TIME_BUDGET_MS;
+  let afterId = campaign.sendCursor || null;
+  let done = false;
+
+  while (Date.now() < deadline) {
+    const subscribers = await prisma.newsletter.findMany({
+      where: { isActive: true, ...(afterId && { id: { gt: afterId } }) },
+      select: { id: true, email: true, firstName: true },
+      orderBy: { id: 'asc' },
+      take: BATCH_SIZE
+    });
+    if (subscribers.length === 0) {
+      done = true;
+      break;
+    }
+    afterId = subscribers[subscribers.length - 1].id;
+
+    const delivered = await prisma.campaignDelivery.findMany({
+      where: { campaignId: campaign.id, status: 'SENT', subscriberId: { in: subscribers.map(subscriber => subscriber.id) } },
+      select: { subscriberId: true }
+    });
+    const deliveredIds = new Set(delivered.map(delivery => delivery.subscriberId));
+    const pending = subscribers.filter(subscriber => !deliveredIds.has(subscriber.id));
+
+    // One failed recipient must not abort the rest of the batch
+    const results = await Promise.allSettled(pending.map(subscriber => sendNewsletterEmail(subscriber, campaign)));
+
+    await Promise.all(pending.map((subscriber, index) => {
+      const sent = results[index].status === 'fulfilled';
+      const outcome = {
+        email: subscriber.email,
+        status: sent ? 'SENT' : 'FAILED',
+        error: sent ? null : String(results[index].reason && results[index].reason.message || results[index].reason),
+        ...(sent && { sentAt: new Date() })
+      };
+
+      return prisma.campaignDelivery.upsert({
+        where: { campaignId_subscriberId: { campaignId: campaign.id, subscriberId: subscriber.id } },
+        create: { campaignId: campaign.id, subscriberId: subscriber.id, ...outcome },
+        update: { ...outcome, attempts: { increment: 1 } }
+      });
+    }));
+
+    // Keep the lease while there is work left, and remember how far this pass got
+    await prisma.newsletterCampaign.update({
+      where: { id: campaign.id },
+      data: { sendCursor: afterId, sendLeaseUntil: new Date(Date.now() + SEND_LEASE_MS) }
+    });
+  }
+
+  const stats = await countDeliveries(campaign.id);
+  let status = 'SENDING';
+  if (done) {
+    if (stats.failedCount === 0) status = 'SENT';
+    else if (stats.sentCount === 0) status = 'FAILED';
+    else status = 'PARTIAL';
+  }
+
+  const updated = await prisma.newsletterCampaign.update({
+    where: { id: campaign.id },
+    data: {
+      ...stats,
+      status,
+      sendLeaseUntil: null,
+      ...(done && { sendCursor: null, sentAt: new Date() })
+    }
+  });
+
+  return { campaign: updated, done };
+};
+
+/**
+ * Carry on campaigns whose send run stopped before finishing
+ * @returns {Promise<{ resumed: Number, finished: Number }>}
+ */
+exports.resumeCampaigns = async () => {
+  const result = { resumed: 0, finished: 0 };
+
+  const stalled = await prisma.newsletterCampaign.findMany({
+    where: { status: 'SENDING', ...leaseExpired(new Date()) }
+  });
+
+  for (const { id } of stalled) {
+    const campaign = await exports.claimCampaign(id);
+    if (!campaign) continue;
+
+    try {
+      const { done } = await exports.runCampaign(campaign);
+      result.resumed++;
+      if (done) result.finished++;
+    } catch (error) {
+      console.error(`Resuming campaign ${id} failed:`, error);
+    }
+  }
+
+  return result;
+};
@@ -0,0 +1,367 @@
+// utils/contentRevisions.js
+const prisma = require('./prisma');
+const { requestHasPermission } = require('./permissions');
+const { checkContentEdit } = require('./editorialWorkflow');
+
+/**
+ * Fields kept in each revision. Workflow, schedule and trending/featured
+ * flags are left out: restoring old text should not publish, unpublish or
+ * promote anything.
+ */
+exports.REVISION_FIELDS = {
+  news: ['title', 'content', 'category', 'imageUrl'],
+  blog: ['title', 'content', 'category', 'pdfUrl']
+};
+
+// Everything but the stored fields, for listings
+exports.revisionSummarySelect = {
+  id: true,
+  number: true,
+  authorId: true,
+  authorName: true,
+  restoredFrom: true,
+  createdAt: true
+};
+
+const snapshot = (contentType, item) => {
+  return Object.fromEntries(
+    exports.REVISION_FIELDS[contentType].map(field => [field, item[field] !== undefined ? item[field] : null])
+  );
+};
+
+// Saves racing for the same revision number retry this often before giving up
+const MAX_NUMBERING_ATTEMPTS = 5;
+
+/**
+ * Write the revision for one save, numbered after the latest stored one
+ */
+const writeRevision = async (contentType, item, author, { previous, restoredFrom } = {}) => {
+  const latest = await prisma.contentRevision.findFirst({
+    where: { contentType, contentId: item.id },
+    orderBy: { number: 'desc' }
+  });
+  let number = latest ? latest.number : 0;
+
+  if (!latest && previous) {
+    await prisma.contentRevision.create({
+      data: {
+        contentType,
+        contentId: item.id,
+        number: ++number,
+        data: snapshot(contentType, previous),
+        authorId: previous.authorId || null,
+        authorName: previous.authorName || null,
+        createdAt: previous.updatedAt || previous.createdAt
+      }
+    });
+  }
+
+  const data = snapshot(contentType, item);
+  const before = latest ? latest.data : previous && snapshot(contentType, previous);
+  if (before && restoredFrom === undefined && JSON.stringify(before) === JSON.stringify(data)) {
+    return null;
+  }
+
+  return prisma.contentRevision.create({
+    data: {
+      contentType,
+      contentId: item.id,
+      number: number + 1,
+      data,
+      authorId: author.id,
+      authorName: author.name,
+      ...(restoredFrom !== undefined && { restoredFrom })
+    }
+  });
+};
+
+/**
+ * Store the current state of a news item or blog post as a new revision.
+ * Content from before revisions were kept gets its previous state stored
+ * first, so the first edit does not lose the original text. Saves that
+ * leave the stored fields unchanged do not add a revision.
+ * @param {String} contentType - "news" or "blog"
+ * @param {Object} item - Record after the change
+ * @param {Object} author - User making the change: { id, name }
+ * @param {Object} [options] - { previous: record before the change, restoredFrom: revision number }
+ * @returns {Promise<Object|null>} The new revision, or null if nothing changed
+ */
+exports.recordRevision = async (contentType, item, author, options) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await writeRevision(contentType, item, author, options);
+    } catch (error) {
+      // P2002: a concurrent save took this number, so number after it instead
+      if (error.code !== 'P2002' || attempt >= MAX_NUMBERING_ATTEMPTS) throw error;
+    }
+  }
+};
+
+/**
+ * Find one revision by its number
+ * @param {String} contentType - "news" or "blog"
+ * @param {String} contentId - News or Blog id
+ * @param {String|Number} number - Revision number from the URL
+ * @returns {Promise<Object|null>}
+ */
+exports.findRevision = (contentType, contentId, number) => {
+  const revisionNumber = parseInt(number);
+  if (!revisionNumber) return Promise.resolve(null);
+
+  return prisma.contentRevision.findUnique({
+    where: { contentType_contentId_number: { contentType, contentId, number: revisionNumber } }
+  });
+};
+
+/**
+ * Field-by-field difference between two revisions
+ * @param {String} contentType - "news" or "blog"
+ * @param {Object} from - Older revision
+ * @param {Object} to - Newer revision
+ * @returns {Object} { field: { from, to } } for every changed field
+ */
+exports.diffRevisions = (contentType, from, to) => {
+  const changes = {};
+
+  for (const field of exports.REVISION_FIELDS[contentType]) {
+    const before = from.data[field] !== undefined ? from.data[field] : null;
+    const after = to.data[field] !== undefined ? to.data[field] : null;
+    if (JSON.stringify(before) !== JSON.stringify(after)) {
+      changes[field] = { from: before, to: after };
+    }
+  }
+
+  return changes;
+};
+
+/**
+ * Update data that puts a revision's fields back on its item
+ * @param {String} contentType - "news" or "blog"
+ * @param {Object} revision - Revision to restore
+ */
+exports.restoreData = (contentType, revision) => {
+  return Object.fromEntries(
+    exports.REVISION_FIELDS[contentType]
+      .filter(field => revision.data[field] !== undefined)
+      .map(field => [field, revision.data[field]])
+  );
+};
+
+/**
+ * Remove the revisions of deleted content
+ * @param {String} contentType - "news" or "blog"
+ * @param {String} contentId - News or Blog id
+ */
+exports.deleteRevisions = (contentType, contentId) => {
+  return prisma.contentRevision.deleteMany({ where: { contentType, contentId } });
+};
+
+// Wording for each content type in handler responses
+const CONTENT_LABELS = {
+  news: 'News',
+  blog: 'Blog'
+};
+
+/**
+ * Route handlers for the revision history of a content type: list, get one,
+ * compare two and restore. Restoring changes the item, so it follows the
+ * same rules as an edit.
+ * @param {String} contentType - "news" or "blog", also the Prisma model
+ * @returns {{ getRevisions: Function, getRevision: Function, diffRevisions: Function, restoreRevision: Function }}
+ */
+exports.revisionHandlers = (contentType) => {
+  const label = CONTENT_LABELS[contentType];
+
+  // Get revision history of an item, newest first
+  const getRevisions = async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { page = 1, limit = 20 } = req.query;
+
+      // Parse query parameters
+      const pageNum = parseInt(page);
+      const limitNum = parseInt(limit);
+      const skip = (pageNum - 1) * limitNum;
+
+      // Check if the item exists
+      const item = await prisma[contentType].findUnique({
+        where: { id }
+      });
+
+      if (!item) {
+        return res.status(404).json({
+          success: false,
+          message: `${label} not found`
+        });
+      }
+
+      const where = { contentType, contentId: id };
+      const [revisions, totalCount] = await Promise.all([
+        prisma.contentRevision.findMany({
+          where,
+          select: exports.revisionSummarySelect,
+          orderBy: { number: 'desc' },
+          skip,
+          take: limitNum
+        }),
+        prisma.contentRevision.count({ where })
+      ]);
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          revisions,
+          pagination: {
+            total: totalCount,
+            pages: Math.ceil(totalCount / limitNum),
+            page: pageNum,
+            limit: limitNum
+          }
+        },
+        message: `${label} revisions retrieved successfully`
+      });
+    } catch (error) {
+      console.error(`Error fetching ${contentType} revisions:`, error);
+      return res.status(500).json({
+        success: false,
+        message: `Error fetching ${contentType} revisions`,
+        error: error.message
+      });
+    }
+  };
+
+  // Get one revision with its content
+  const getRevision = async (req, res) => {
+    try {
+      const { id, number } = req.params;
+
+      const revision = await exports.findRevision(contentType, id, number);
+
+      if (!revision) {
+        return res.status(404).json({
+          success: false,
+          message: 'Revision not found'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: revision,
+        message: `${label} revision retrieved successfully`
+      });
+    } catch (error) {
+      console.error(`Error fetching ${contentType} revision:`, error);
+      return res.status(500).json({
+        success: false,
+        message: `Error fetching ${contentType} revision`,
+        error: error.message
+      });
+    }
+  };
+
+  // Compare two revisions field by field (?from=<number>&to=<number>)
+  const diffRevisions = async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { from, to } = req.query;
+
+      if (!from || !to) {
+        return res.status(400).json({
+          success: false,
+          message: 'Both from and to revision numbers are required'
+        });
+      }
+
+      const [fromRevision, toRevision] = await Promise.all([
+        exports.findRevision(contentType, id, from),
+        exports.findRevision(contentType, id, to)
+      ]);
+
+      if (!fromRevision || !toRevision) {
+        return res.status(404).json({
+          success: false,
+          message: 'Revision not found'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          from: fromRevision.number,
+          to: toRevision.number,
+          changes: exports.diffRevisions(contentType, fromRevision, toRevision)
+        },
+        message: `${label} revisions compared successfully`
+      });
+    } catch (error) {
+      console.error(`Error comparing ${contentType} revisions:`, error);
+      return res.status(500).json({
+        success: false,
+        message: `Error comparing ${contentType} revisions`,
+        error: error.message
+      });
+    }
+  };
+
+  // Restore an earlier revision; the restore is saved as a new revision
+  const restoreRevision = async (req, res) => {
+    try {
+      const { id, number } = req.params;
+
+      // Check if the item exists
+      const existingItem = await prisma[contentType].findUnique({
+        where: { id }
+      });
+
+      if (!existingItem) {
+        return res.status(404).json({
+          success: false,
+          message: `${label} not found`
+        });
+      }
+
+      const editError = checkContentEdit(existingItem, {
+        canPublish: await requestHasPermission(req, `${contentType}:publish`)
+      });
+      if (editError) {
+        return res.status(editError.statusCode).json({
+          success: false,
+          message: editError.error
+        });
+      }
+
+      const revision = await exports.findRevision(contentType, id, number);
+
+      if (!revision) {
+        return res.status(404).json({
+          success: false,
+          message: 'Revision not found'
+        });
+      }
+
+      const updatedItem = await prisma[contentType].update({
+        where: { id },
+        data: exports.restoreData(contentType, revision)
+      });
+      const newRevision = await exports.recordRevision(contentType, updatedItem, req.user, {
+        previous: existingItem,
+        restoredFrom: revision.number
+      });
+
+      return res.status(200).json({
+        success: true,
+        data: { [contentType]: updatedItem, revision: newRevision },
+        message: `${label} restored to revision ${revision.number}`
+      });
+    } catch (error) {
+      console.error(`Error restoring ${contentType} revision:`, error);
+      return res.status(500).json({
+        success: false,
+        message: `Error restoring ${contentType} revision`,
+        error: error.message
+      });
+    }
+  };
+
+  return { getRevisions, getRevision, diffRevisions, restoreRevision };
+};
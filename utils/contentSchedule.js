@@ -0,0 +1,250 @@
+// utils/contentSchedule.js
+const prisma = require('./prisma');
+const { buildTransition } = require('./editorialWorkflow');
+
+/**
+ * Content with publishAt/unpublishAt, keyed by Prisma model. News and blogs
+ * go through the editorial workflow: only "scheduled" items go live at
+ * publishAt and reaching unpublishAt archives them. Events just have
+ * isActive switched.
+ */
+const SCHEDULED_MODELS = {
+  news: { workflow: true },
+  blog: { workflow: true },
+  event: { workflow: false },
+  festivalEvent: { workflow: false }
+};
+
+exports.CONTENT_MODELS = Object.keys(SCHEDULED_MODELS);
+
+/**
+ * Read publishAt and unpublishAt from a request body. An empty value clears
+ * the date; fields left out are not returned.
+ * @param {Object} body - Request body
+ * @param {Object} [item] - Current record, to check the dates against each other
+ * @returns {{ error: String, statusCode: Number }|{ data: Object }}
+ */
+exports.parseScheduleDates = (body, item = {}) => {
+  const data = {};
+
+  for (const field of ['publishAt', 'unpublishAt']) {
+    if (!body || body[field] === undefined) continue;
+    if (body[field] === null || body[field] === '') {
+      data[field] = null;
+      continue;
+    }
+
+    const date = new Date(body[field]);
+    if (isNaN(date.getTime())) {
+      return { statusCode: 400, error: `${field} must be a valid date` };
+    }
+    data[field] = date;
+  }
+
+  const publishAt = data.publishAt !== undefined ? data.publishAt : item.publishAt;
+  const unpublishAt = data.unpublishAt !== undefined ? data.unpublishAt : item.unpublishAt;
+  if (publishAt && unpublishAt && unpublishAt <= publishAt) {
+    return { statusCode: 400, error: 'unpublishAt must be after publishAt' };
+  }
+
+  return { data };
+};
+
+/**
+ * Where clause for content the public may see right now. Covers items whose
+ * publishAt or unpublishAt has passed before the scheduler got to them.
+ * @param {String} model - Key of SCHEDULED_MODELS
+ * @param {Date} [now]
+ */
+exports.visibleWhere = (model, now = new Date()) => {
+  const due = SCHEDULED_MODELS[model].workflow
+    ? { status: 'scheduled', publishAt: { lte: now } }
+    : { isActive: false, publishAt: { lte: now } };
+
+  return {
+    AND: [
+      { OR: [{ isActive: true }, due] },
+      // Missing and null are different things to MongoDB
+      { OR: [{ unpublishAt: { isSet: false } }, { unpublishAt: null }, { unpublishAt: { gt: now } }] }
+    ]
+  };
+};
+
+/**
+ * Whether the public may see one item right now; matches visibleWhere
+ * @param {String} model - Key of SCHEDULED_MODELS
+ * @param {Object} item - Record
+ * @param {Date} [now]
+ */
+exports.isVisible = (model, item, now = new Date()) => {
+  if (item.unpublishAt && item.unpublishAt <= now) return false;
+  if (item.isActive) return true;
+
+  const due = Boolean(item.publishAt && item.publishAt <= now);
+  return SCHEDULED_MODELS[model].workflow ? due && item.status === 'scheduled' : due;
+};
+
+/**
+ * Visibility update for an event. A future publishAt hides the event until
+ * then; setting isActive by hand cancels a pending publishAt.
+ * @param {Object} item - Current record, {} when creating
+ * @param {Object} changes - { isActive, publishAt, unpublishAt }, each optional
+ * @returns {Object} Prisma update data
+ */
+exports.scheduleVisibility = (item, { isActive, publishAt, unpublishAt }) => {
+  const now = new Date();
+  const data = {};
+
+  if (publishAt !== undefined) data.publishAt = publishAt;
+  if (unpublishAt !== undefined) data.unpublishAt = unpublishAt;
+
+  if (publishAt && publishAt > now) {
+    data.isActive = false;
+  } else if (isActive !== undefined) {
+    data.isActive = isActive;
+    if (publishAt === undefined && item.publishAt) data.publishAt = null;
+  }
+
+  // Switching an event back on after its unpublish time starts without one
+  const expiry = unpublishAt !== undefined ? unpublishAt : item.unpublishAt;
+  if (data.isActive && expiry && expiry <= now) data.unpublishAt = null;
+
+  return data;
+};
+
+/**
+ * Publish or unpublish one model's content whose time has come
+ * @returns {Promise<{ published: String[], unpublished: String[] }>} Changed ids
+ */
+const applyModelSchedule = async (model, now) => {
+  const { workflow } = SCHEDULED_MODELS[model];
+  const published = [];
+  const unpublished = [];
+
+  if (workflow) {
+    // Per item, so publishedAt is only set on the first publication
+    const due = await prisma[model].findMany({ where: { status: 'scheduled', publishAt: { lte: now } } });
+    for (const item of due) {
+      const { data } = buildTransition(item, 'published', { canPublish: true, userId: item.reviewedById });
+      await prisma[model].update({ where: { id: item.id }, data });
+      published.push(item.id);
+    }
+
+    const expired = await prisma[model].findMany({ where: { isActive: true, unpublishAt: { lte: now } } });
+    for (const item of expired) {
+      const { data } = buildTransition(item, 'archived', { canPublish: true, userId: item.reviewedById });
+      await prisma[model].update({ where: { id: item.id }, data });
+      unpublished.push(item.id);
+    }
+  } else {
+    // publishAt is cleared once used, otherwise a later unpublish would be undone
+    const due = await prisma[model].findMany({
+      where: { isActive: false, publishAt: { lte: now } },
+      select: { id: true }
+    });
+    if (due.length > 0) {
+      await prisma[model].updateMany({
+        where: { id: { in: due.map(item => item.id) } },
+        data: { isActive: true, publishAt: null }
+      });
+      published.push(...due.map(item => item.id));
+    }
+
+    const expired = await prisma[model].findMany({
+      where: { isActive: true, unpublishAt: { lte: now } },
+      select: { id: true }
+    });
+    if (expired.length > 0) {
+      await prisma[model].updateMany({
+        where: { id: { in: expired.map(item => item.id) } },
+        data: { isActive: false, unpublishAt: null }
+      });
+      unpublished.push(...expired.map(item => item.id));
+    }
+  }
+
+  return { published, unpublished };
+};
+
+/**
+ * Ask the frontend to drop cached pages. POSTs the payload to
+ * CONTENT_REVALIDATE_URL with CONTENT_REVALIDATE_SECRET as a bearer token;
+ * does nothing when the URL is unset.
+ * @param {Object} payload - { changed: { [model]: { published: [ids], unpublished: [ids] } }, pull: [models] }.
+ *   pull is only sent for content pulls and lists models whose pages should all be refreshed.
+ * @returns {Promise<Boolean>} Whether a request was sent
+ */
+const requestRevalidation = async (payload) => {
+  const url = process.env.CONTENT_REVALIDATE_URL;
+  if (!url) return false;
+
+  const secret = process.env.CONTENT_REVALIDATE_SECRET;
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(secret && { Authorization: `Bearer ${secret}` })
+    },
+    body: JSON.stringify(payload),
+    signal: AbortSignal.timeout(10000)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Revalidation request to ${url} failed with ${response.status}`);
+  }
+  return true;
+};
+
+/**
+ * Publish and unpublish all content whose publishAt or unpublishAt has passed
+ * @returns {Promise<{ result: Object, changed: Object }>} Counts, and changed ids by model
+ */
+const applyAllSchedules = async () => {
+  const now = new Date();
+  const result = { published: 0, unpublished: 0, revalidated: false };
+  const changed = {};
+
+  for (const model of Object.keys(SCHEDULED_MODELS)) {
+    const { published, unpublished } = await applyModelSchedule(model, now);
+    if (published.length === 0 && unpublished.length === 0) continue;
+
+    changed[model] = { published, unpublished };
+    result.published += published.length;
+    result.unpublished += unpublished.length;
+  }
+
+  return { result, changed };
+};
+
+/**
+ * Publish and unpublish all content whose publishAt or unpublishAt has
+ * passed, then request cache revalidation for whatever changed
+ * @returns {Promise<{ published: Number, unpublished: Number, revalidated: Boolean }>}
+ */
+exports.applyContentSchedules = async () => {
+  const { result, changed } = await applyAllSchedules();
+
+  if (Object.keys(changed).length > 0) {
+    // The content has already changed, so a failed webhook is only logged
+    try {
+      result.revalidated = await requestRevalidation({ changed });
+    } catch (error) {
+      console.error('Content revalidation error:', error);
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Content pull for integrations: apply due schedules, then ask the frontend
+ * to refresh every page of the given models, whether or not anything changed.
+ * A failed webhook is thrown, so the caller knows to try again.
+ * @param {String[]} [models] - Entries of CONTENT_MODELS, all of them when left out
+ * @returns {Promise<{ published: Number, unpublished: Number, revalidated: Boolean }>}
+ */
+exports.pullContent = async (models = exports.CONTENT_MODELS) => {
+  const { result, changed } = await applyAllSchedules();
+  result.revalidated = await requestRevalidation({ changed, pull: models });
+  return result;
+};
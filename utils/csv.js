@@ -0,0 +1,80 @@
+// utils/csv.js
+
+/**
+ * Parse CSV text (RFC 4180: comma separated, double quotes escape commas,
+ * quotes and line breaks). Blank lines are skipped.
+ * @param {String} text - CSV content
+ * @returns {Array<String[]>} Rows of cells
+ */
+exports.parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.some(value => value.trim() !== '')) rows.push(row);
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) endRow();
+
+  return rows;
+};
+
+/**
+ * Quote one value for CSV. Values that spreadsheets would run as a formula
+ * are prefixed with an apostrophe.
+ * @param {*} value - Cell value; dates become ISO strings
+ */
+const formatCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build CSV text from objects
+ * @param {String[]} columns - Keys to include, also used as the header row
+ * @param {Array<Object>} records - Records to write
+ * @returns {String}
+ */
+exports.toCsv = (columns, records) => {
+  const lines = [columns.map(formatCell).join(',')];
+  for (const record of records) {
+    lines.push(columns.map(column => formatCell(record[column])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+};
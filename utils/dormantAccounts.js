@@ -0,0 +1,155 @@
+// utils/dormantAccounts.js
+const prisma = require('./prisma');
+const { ADMIN_ROLE } = require('./permissions');
+const { revokeAllSessions } = require('./session');
+const { notDeleted } = require('./userDeletion');
+const { sendDormantAccountWarningEmail } = require('./email');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Days without a login or session refresh after which an account is
+ * deactivated. Set DORMANT_ACCOUNT_DAYS=0 to turn deactivation off.
+ */
+exports.DORMANT_ACCOUNT_DAYS = process.env.DORMANT_ACCOUNT_DAYS === '0'
+  ? 0
+  : parseInt(process.env.DORMANT_ACCOUNT_DAYS) || 90;
+
+/**
+ * Days of notice the warning email gives before deactivation
+ */
+exports.DORMANT_WARNING_DAYS = parseInt(process.env.DORMANT_WARNING_DAYS) || 14;
+
+// Roles never deactivated, e.g. DORMANT_EXEMPT_ROLES=ADMIN
+const EXEMPT_ROLES = (process.env.DORMANT_EXEMPT_ROLES || '')
+  .split(',')
+  .map(role => role.trim())
+  .filter(Boolean);
+
+const latest = (...dates) => new Date(Math.max(...dates.filter(Boolean).map(date => date.getTime())));
+
+/**
+ * Latest sign of use for each user: a login, a session refresh, or being
+ * reactivated after an earlier deactivation. New accounts count from creation.
+ * @param {Array<Object>} users - Users with lastLoginAt, createdAt and dormantDeactivatedAt
+ * @returns {Promise<Map<String, Date>>} Last activity by user id
+ */
+const getLastActivity = async (users) => {
+  const sessions = await prisma.session.groupBy({
+    by: ['userId'],
+    where: { userId: { in: users.map(user => user.id) } },
+    _max: { lastUsedAt: true, createdAt: true }
+  });
+  const sessionsByUser = new Map(sessions.map(session => [session.userId, session._max]));
+
+  return new Map(users.map(user => {
+    const session = sessionsByUser.get(user.id) || {};
+    return [
+      user.id,
+      latest(user.createdAt, user.lastLoginAt, user.dormantDeactivatedAt, session.lastUsedAt, session.createdAt)
+    ];
+  }));
+};
+
+/**
+ * Dormancy state of one user, for the activity endpoint
+ * @param {Object} user - User with lastLoginAt, createdAt, dormancyWarningSentAt and dormantDeactivatedAt
+ * @returns {Promise<Object>} { lastActivityAt, warningSentAt, deactivatesAt, deactivatedAt }
+ */
+exports.getDormancy = async (user) => {
+  const lastActivityAt = (await getLastActivity([user])).get(user.id);
+  const warned = user.dormancyWarningSentAt && user.dormancyWarningSentAt > lastActivityAt;
+
+  const applies = exports.DORMANT_ACCOUNT_DAYS > 0 && user.isActive && !EXEMPT_ROLES.includes(user.role);
+
+  return {
+    lastActivityAt,
+    warningSentAt: warned ? user.dormancyWarningSentAt : null,
+    // Never earlier than a full notice period after the (possibly future) warning
+    deactivatesAt: applies
+      ? latest(
+        new Date(lastActivityAt.getTime() + exports.DORMANT_ACCOUNT_DAYS * DAY_MS),
+        new Date((warned ? user.dormancyWarningSentAt.getTime() : Date.now()) + exports.DORMANT_WARNING_DAYS * DAY_MS)
+      )
+      : null,
+    deactivatedAt: user.dormantDeactivatedAt || null
+  };
+};
+
+/**
+ * Warn, then deactivate, active accounts nobody has used for
+ * DORMANT_ACCOUNT_DAYS. Every account gets a warning at least
+ * DORMANT_WARNING_DAYS before it is deactivated. ADMINs are only
+ * deactivated while another ADMIN is still in use, so nobody is locked out.
+ * @returns {Promise<{ warned: Number, deactivated: Number }>}
+ */
+exports.processDormantAccounts = async () => {
+  const result = { warned: 0, deactivated: 0 };
+  if (exports.DORMANT_ACCOUNT_DAYS <= 0) return result;
+
+  const now = Date.now();
+  const warnBefore = new Date(now - Math.max(exports.DORMANT_ACCOUNT_DAYS - exports.DORMANT_WARNING_DAYS, 0) * DAY_MS);
+  const deactivateBefore = new Date(now - exports.DORMANT_ACCOUNT_DAYS * DAY_MS);
+  const noticeGivenBefore = new Date(now - exports.DORMANT_WARNING_DAYS * DAY_MS);
+
+  const users = await prisma.user.findMany({
+    where: { isActive: true, ...notDeleted, role: { notIn: EXEMPT_ROLES } },
+    select: {
+      id: true,
+      email: true,
+      name: true,
+      role: true,
+      createdAt: true,
+      lastLoginAt: true,
+      dormancyWarningSentAt: true,
+      dormantDeactivatedAt: true
+    }
+  });
+  if (users.length === 0) return result;
+
+  const lastActivity = await getLastActivity(users);
+  const recentAdmins = users.filter(user => user.role === ADMIN_ROLE && lastActivity.get(user.id) >= deactivateBefore).length;
+
+  for (const user of users) {
+    const lastActivityAt = lastActivity.get(user.id);
+    if (lastActivityAt >= warnBefore) continue;
+
+    // A warning only counts if it was sent after the user was last active
+    const warned = user.dormancyWarningSentAt && user.dormancyWarningSentAt > lastActivityAt;
+
+    try {
+      if (!warned) {
+        await sendDormantAccountWarningEmail({
+          email: user.email,
+          name: user.name,
+          inactiveDays: Math.floor((now - lastActivityAt.getTime()) / DAY_MS),
+          deactivatesAt: latest(
+            new Date(lastActivityAt.getTime() + exports.DORMANT_ACCOUNT_DAYS * DAY_MS),
+            new Date(now + exports.DORMANT_WARNING_DAYS * DAY_MS)
+          )
+        });
+        await prisma.user.update({
+          where: { id: user.id },
+          data: { dormancyWarningSentAt: new Date() }
+        });
+        result.warned++;
+        continue;
+      }
+
+      if (lastActivityAt >= deactivateBefore || user.dormancyWarningSentAt > noticeGivenBefore) continue;
+
+      if (user.role === ADMIN_ROLE && recentAdmins === 0) continue;
+
+      await prisma.user.update({
+        where: { id: user.id },
+        data: { isActive: false, dormantDeactivatedAt: new Date() }
+      });
+      await revokeAllSessions(user.id);
+      result.deactivated++;
+    } catch (error) {
+      console.error(`Dormant account check failed for user ${user.id}:`, error);
+    }
+  }
+
+  return result;
+};
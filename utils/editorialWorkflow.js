@@ -0,0 +1,160 @@
+// utils/editorialWorkflow.js
+
+/**
+ * Editorial states shared by News and Blog
+ */
+exports.CONTENT_STATUSES = ['draft', 'in_review', 'scheduled', 'published', 'archived'];
+
+// Allowed moves from each state
+const TRANSITIONS = {
+  draft: ['in_review', 'scheduled', 'published', 'archived'],
+  in_review: ['draft', 'scheduled', 'published'],
+  scheduled: ['draft', 'published'],
+  published: ['draft', 'archived'],
+  archived: ['draft', 'published']
+};
+
+// Moves any writer may make; everything else needs the publish permission
+const WRITER_TRANSITIONS = [
+  ['draft', 'in_review'],
+  ['draft', 'archived']
+];
+
+/**
+ * Current state of a news item or blog post. Items from before the workflow
+ * have no status: active ones count as published, the rest as drafts.
+ * @param {Object} item - News or Blog record
+ */
+exports.statusOf = (item) => item.status || (item.isActive ? 'published' : 'draft');
+
+/**
+ * Where clause selecting items in a state, including items from before the workflow
+ * @param {String} status - One of CONTENT_STATUSES
+ */
+exports.statusFilter = (status) => {
+  // isActive mirrors "published", for old and new items alike
+  if (status === 'published') return { isActive: true };
+  if (status === 'draft') {
+    return { OR: [{ status: 'draft' }, { status: { isSet: false }, isActive: false }] };
+  }
+  return { status };
+};
+
+/**
+ * Whether moving from one state to another needs the publish permission
+ * @param {String} from - Current state
+ * @param {String} to - Requested state
+ */
+exports.needsPublishPermission = (from, to) => {
+  return !WRITER_TRANSITIONS.some(([allowedFrom, allowedTo]) => allowedFrom === from && allowedTo === to);
+};
+
+/**
+ * Work out the update for a state change
+ * @param {Object} item - News or Blog record
+ * @param {String} to - Requested state
+ * @param {Object} options - { canPublish, userId, reason }
+ * @returns {{ error: String, statusCode: Number }|{ data: Object }}
+ */
+exports.buildTransition = (item, to, { canPublish, userId, reason }) => {
+  const from = exports.statusOf(item);
+
+  if (!exports.CONTENT_STATUSES.includes(to)) {
+    return { statusCode: 400, error: `Status must be one of: ${exports.CONTENT_STATUSES.join(', ')}` };
+  }
+  if (from === to || !TRANSITIONS[from].includes(to)) {
+    return { statusCode: 400, error: `Cannot move from ${from} to ${to}` };
+  }
+  if (exports.needsPublishPermission(from, to) && !canPublish) {
+    return { statusCode: 403, error: `You do not have permission to move content from ${from} to ${to}` };
+  }
+
+  const now = new Date();
+  if (to === 'scheduled' && !(item.publishAt && item.publishAt > now)) {
+    return { statusCode: 400, error: 'Set a publishAt in the future before scheduling' };
+  }
+
+  const data = { status: to, isActive: to === 'published' };
+
+  if (to === 'in_review') {
+    data.submittedAt = now;
+    data.rejectionReason = null;
+  }
+
+  // A reviewer sending a submission back to its author
+  if (from === 'in_review' && to === 'draft') {
+    data.rejectionReason = reason ? String(reason) : null;
+  }
+
+  if (from === 'in_review' || to === 'published' || to === 'scheduled') {
+    data.reviewedById = userId;
+    data.reviewedAt = now;
+  }
+
+  if (to === 'published' && !item.publishedAt) {
+    data.publishedAt = now;
+  }
+
+  // Publishing again after an unpublish time has passed starts without one
+  if (to === 'published' && item.unpublishAt && item.unpublishAt <= now) {
+    data.unpublishAt = null;
+  }
+
+  return { data };
+};
+
+/**
+ * Starting state for a new item: writers create drafts or submit for review,
+ * publishers may also schedule or publish straight away
+ * @param {String} [requested] - Status sent by the client
+ * @param {Object} options - { canPublish, userId, publishAt }
+ * @returns {{ error: String, statusCode: Number }|{ data: Object }}
+ */
+exports.initialStatus = (requested, { canPublish, userId, publishAt }) => {
+  if (!requested || requested === 'draft') {
+    return { data: { status: 'draft', isActive: false } };
+  }
+  if (requested === 'archived') {
+    return { statusCode: 400, error: 'New content cannot start archived' };
+  }
+
+  return exports.buildTransition({ status: 'draft', publishAt }, requested, { canPublish, userId });
+};
+
+/**
+ * Check an edit to an item's content. Scheduled and published items go live
+ * without another review, so only publishers may change them; writers move
+ * the item back to draft first.
+ * @param {Object} item - News or Blog record
+ * @param {Object} options - { canPublish }
+ * @returns {{ error: String, statusCode: Number }|null}
+ */
+exports.checkContentEdit = (item, { canPublish }) => {
+  const status = exports.statusOf(item);
+  if (canPublish || (status !== 'scheduled' && status !== 'published')) return null;
+
+  return { statusCode: 403, error: `You do not have permission to edit ${status} content` };
+};
+
+/**
+ * Check a change to publishAt or unpublishAt. Once an item is scheduled or
+ * published its dates decide when it goes live or comes down, so only
+ * publishers may move them, and a scheduled item keeps a future publishAt.
+ * @param {Object} item - News or Blog record
+ * @param {Object} dates - New { publishAt, unpublishAt }, each optional
+ * @param {Object} options - { canPublish }
+ * @returns {{ error: String, statusCode: Number }|null}
+ */
+exports.checkScheduleChange = (item, dates, { canPublish }) => {
+  const status = exports.statusOf(item);
+  if (dates.publishAt === undefined && dates.unpublishAt === undefined) return null;
+  if (status !== 'scheduled' && status !== 'published') return null;
+
+  if (!canPublish) {
+    return { statusCode: 403, error: `You do not have permission to change the schedule of ${status} content` };
+  }
+  if (status === 'scheduled' && dates.publishAt !== undefined && !(dates.publishAt && dates.publishAt > new Date())) {
+    return { statusCode: 400, error: 'Scheduled content needs a publishAt in the future; move it back to draft instead' };
+  }
+  return null;
+};
@@ -3,6 +3,9 @@ const nodemailer = require('nodemailer');
 const handlebars = require('handlebars');
 const fs = require('fs');
 const path = require('path');
+const { OTP_EXPIRES_MINUTES } = require('./otp');
+const { createUnsubscribeToken } = require('./newsletterTokens');
+const { getCurrentRequest } = require('./requestContext');
 
 // Create reusable transporter
 const transporter = nodemailer.createTransport({
@@ -35,6 +38,31 @@ const layoutTemplate = (() => {
 // Get current year for copyright
 const getCurrentYear = () => new Date().getFullYear();
 
+/**
+ * Render a templated email into the shared layout
+ * @param {Object} options - Render options
+ * @param {String} options.subject - Email subject (used as the page title)
+ * @param {String} options.template - Template name
+ * @param {Object} options.context - Template context data
+ * @returns {String} Rendered HTML
+ */
+exports.renderTemplatedEmail = ({ subject, template, context }) => {
+  // Compile the specific template
+  const templateCompiled = compileTemplate(template);
+  const body = templateCompiled(context);
+
+  // Insert the compiled template into layout
+  const layoutContext = {
+    title: subject,
+    body,
+    appName: process.env.APP_NAME || 'Alenalki',
+    currentYear: getCurrentYear(),
+    ...context
+  };
+
+  return layoutTemplate(layoutContext);
+};
+
 /**
  * Send an email using a template
  * @param {Object} options - Email options
@@ -42,23 +70,11 @@ const getCurrentYear = () => new Date().getFullYear();
  * @param {String} options.subject - Email subject
  * @param {String} options.template - Template name
  * @param {Object} options.context - Template context data
+ * @param {String} [options.listUnsubscribeUrl] - One-click unsubscribe endpoint (RFC 8058) for list mail
  */
-exports.sendTemplatedEmail = async ({ to, subject, template, context }) => {
+exports.sendTemplatedEmail = async ({ to, subject, template, context, listUnsubscribeUrl }) => {
   try {
-    // Compile the specific template
-    const templateCompiled = compileTemplate(template);
-    const body = templateCompiled(context);
-
-    // Insert the compiled template into layout
-    const layoutContext = {
-      title: subject,
-      body,
-      appName: process.env.APP_NAME || 'Alenalki',
-      currentYear: getCurrentYear(),
-      ...context
-    };
-
-    const html = layoutTemplate(layoutContext);
+    const html = exports.renderTemplatedEmail({ subject, template, context });
 
     // Send email
     const mailOptions = {
@@ -68,6 +84,14 @@ exports.sendTemplatedEmail = async ({ to, subject, template, context }) => {
       html
     };
 
+    // Let inbox providers offer their own unsubscribe button
+    if (listUnsubscribeUrl) {
+      mailOptions.headers = {
+        'List-Unsubscribe': `<${listUnsubscribeUrl}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+      };
+    }
+
     const info = await transporter.sendMail(mailOptions);
     console.log('Email sent:', info.messageId);
     return info;
@@ -88,7 +112,8 @@ exports.sendVerificationEmail = async (email, verificationCode) => {
     subject: 'Verify Your Email Address',
     template: 'verification',
     context: {
-      verificationCode
+      verificationCode,
+      expiresInMinutes: OTP_EXPIRES_MINUTES
     }
   });
 };
@@ -166,92 +191,266 @@ exports.sendContactAcknowledgementEmail = async (contactData) => {
 };
 
 /**
- * Send newsletter confirmation email
+ * Send a staff reply to a contact form submission
+ * @param {Object} contactMessage - Stored contact message
+ * @param {Object} reply - Reply data (subject, message, senderName)
+ * @returns {Object} Nodemailer send info
+ */
+exports.sendContactReplyEmail = async (contactMessage, reply) => {
+  const { firstName, lastName, email, message, createdAt } = contactMessage;
+
+  return exports.sendTemplatedEmail({
+    to: email,
+    subject: reply.subject,
+    template: 'contact-reply',
+    context: {
+      firstName,
+      lastName,
+      replyMessage: reply.message,
+      senderName: reply.senderName,
+      originalMessage: message,
+      originalDate: new Date(createdAt).toLocaleString(),
+      supportEmail: process.env.ADMIN_EMAIL || 'info@alenalki.se'
+    }
+  });
+};
+
+/**
+ * Send newsletter double opt-in confirmation email
  * @param {Object} subscriberData - Subscriber data
+ * @param {String} subscriberData.confirmUrl - Signed confirmation link
+ * @param {Number} subscriberData.expiresInHours - Hours until the link expires
  */
 exports.sendNewsletterConfirmationEmail = async (subscriberData) => {
-  const { email, firstName } = subscriberData;
+  const { email, firstName, confirmUrl, expiresInHours } = subscriberData;
 
   await exports.sendTemplatedEmail({
     to: email,
-    subject: 'Welcome to Alenalki Newsletter!',
+    subject: 'Please confirm your Alenalki Newsletter subscription',
     template: 'newsletter-confirmation',
     context: {
       firstName: firstName || 'Subscriber',
-      unsubscribeUrl: `${process.env.CLIENT_URL}/unsubscribe?email=${encodeURIComponent(email)}`,
-      supportEmail: process.env.ADMIN_EMAIL || 'info@alenalki.se'
+      confirmUrl,
+      expiresInHours
     }
   });
 };
 
+let apiUrlWarningShown = false;
+
 /**
- * Send newsletter to all active subscribers
- * @param {Object} newsletterData - Newsletter content
+ * Public base URL of this API for links mail providers call directly. Uses
+ * API_URL, else the host of the request being handled. Cron runs have no
+ * request, so without API_URL they cannot build the link.
+ * @returns {String|undefined}
  */
-exports.sendNewsletterToSubscribers = async (newsletterData) => {
-  try {
-    const { subject, content, previewText } = newsletterData;
-
-    // Get all active subscribers in batches to avoid memory issues
-    const batchSize = 100;
-    let skip = 0;
-    let subscriberBatch;
-
-    do {
-      subscriberBatch = await prisma.newsletter.findMany({
-        where: { isActive: true },
-        select: { email: true, firstName: true },
-        skip,
-        take: batchSize
-      });
-
-      if (subscriberBatch.length > 0) {
-        // Send emails in parallel for better performance
-        const emailPromises = subscriberBatch.map(subscriber =>
-          exports.sendTemplatedEmail({
-            to: subscriber.email,
-            subject,
-            template: 'newsletter',
-            context: {
-              firstName: subscriber.firstName || 'Subscriber',
-              content,
-              previewText,
-              unsubscribeUrl: `${process.env.CLIENT_URL}/unsubscribe?email=${encodeURIComponent(subscriber.email)}`
-            }
-          })
-        );
-
-        await Promise.all(emailPromises);
-        console.log(`Sent newsletter to ${subscriberBatch.length} subscribers`);
-      }
-
-      skip += batchSize;
-    } while (subscriberBatch.length === batchSize);
-
-    console.log('Newsletter sent to all active subscribers');
-  } catch (error) {
-    console.error('Newsletter sending error:', error);
-    throw error;
+const getApiUrl = () => {
+  if (process.env.API_URL) return process.env.API_URL.replace(/\/+$/, '');
+
+  const req = getCurrentRequest();
+  if (req) return `${req.protocol}://${req.get('host')}`;
+
+  if (!apiUrlWarningShown) {
+    apiUrlWarningShown = true;
+    console.warn('API_URL is not set: newsletters sent outside a request have no one-click List-Unsubscribe header');
+  }
+  return undefined;
+};
+
+/**
+ * Build the signed unsubscribe links for a subscriber
+ * @param {Object} subscriber - Newsletter record (id, email)
+ * @returns {Object} pageUrl for the email body, oneClickUrl for the List-Unsubscribe header
+ */
+const buildUnsubscribeUrls = (subscriber) => {
+  // Previews and test sends have no subscriber record to sign for
+  if (!subscriber.id) {
+    return { pageUrl: `${process.env.CLIENT_URL}/unsubscribe`, oneClickUrl: undefined };
   }
+
+  const token = createUnsubscribeToken(subscriber);
+  const apiUrl = getApiUrl();
+
+  return {
+    pageUrl: `${process.env.CLIENT_URL}/unsubscribe/${token}`,
+    // One-click requests are POSTed by the mail provider straight to the API
+    oneClickUrl: apiUrl ? `${apiUrl}/api/v1/newsletter/unsubscribe/${token}` : undefined
+  };
+};
+
+/**
+ * Send newsletter welcome email once the subscription is confirmed
+ * @param {Object} subscriber - Newsletter record (id, email, firstName)
+ */
+exports.sendNewsletterWelcomeEmail = async (subscriber) => {
+  const { email, firstName } = subscriber;
+  const { pageUrl, oneClickUrl } = buildUnsubscribeUrls(subscriber);
+
+  await exports.sendTemplatedEmail({
+    to: email,
+    subject: 'Welcome to Alenalki Newsletter!',
+    template: 'newsletter-welcome',
+    context: {
+      firstName: firstName || 'Subscriber',
+      unsubscribeUrl: pageUrl,
+      supportEmail: process.env.ADMIN_EMAIL || 'info@alenalki.se'
+    },
+    listUnsubscribeUrl: oneClickUrl
+  });
+};
+
+/**
+ * Build the template context for a newsletter email
+ * @param {Object} subscriber - Subscriber data (id, email, firstName)
+ * @param {Object} newsletterData - Newsletter content
+ */
+const buildNewsletterContext = (subscriber, newsletterData) => ({
+  firstName: subscriber.firstName || 'Subscriber',
+  content: newsletterData.content,
+  previewText: newsletterData.previewText,
+  unsubscribeUrl: buildUnsubscribeUrls(subscriber).pageUrl
+});
+
+/**
+ * Render a newsletter for preview without sending it
+ * @param {Object} newsletterData - Newsletter content (subject, content, previewText)
+ * @param {Object} [subscriber] - Sample subscriber used to fill personalised fields
+ * @returns {String} Rendered HTML
+ */
+exports.renderNewsletter = (newsletterData, subscriber = { email: 'subscriber@example.com' }) => {
+  return exports.renderTemplatedEmail({
+    subject: newsletterData.subject,
+    template: 'newsletter',
+    context: buildNewsletterContext(subscriber, newsletterData)
+  });
+};
+
+/**
+ * Send a single test copy of a newsletter
+ * @param {String} email - Recipient email
+ * @param {Object} newsletterData - Newsletter content (subject, content, previewText)
+ */
+exports.sendNewsletterTestEmail = async (email, newsletterData) => {
+  await exports.sendTemplatedEmail({
+    to: email,
+    subject: `[TEST] ${newsletterData.subject}`,
+    template: 'newsletter',
+    context: buildNewsletterContext({ email }, newsletterData)
+  });
+};
+
+/**
+ * Send a campaign newsletter to one subscriber
+ * @param {Object} subscriber - Newsletter record (id, email, firstName)
+ * @param {Object} newsletterData - Newsletter content (subject, content, previewText)
+ */
+exports.sendNewsletterEmail = async (subscriber, newsletterData) => {
+  await exports.sendTemplatedEmail({
+    to: subscriber.email,
+    subject: newsletterData.subject,
+    template: 'newsletter',
+    context: buildNewsletterContext(subscriber, newsletterData),
+    listUnsubscribeUrl: buildUnsubscribeUrls(subscriber).oneClickUrl
+  });
 };
 
 /**
- * Send account creation notification email
- * @param {Object} userData - User data including email, name, and role
+ * Send account invitation email with the link to set a password
+ * @param {Object} userData - User data including email, name, role, inviteUrl and expiresInHours
  */
 exports.sendAccountCreationEmail = async (userData) => {
-  const { email, name, role } = userData;
+  const { email, name, role, inviteUrl, expiresInHours } = userData;
 
   await exports.sendTemplatedEmail({
     to: email,
-    subject: 'Your Account Has Been Created',
+    subject: 'You Have Been Invited to Join',
     template: 'account-created',
     context: {
       name: name || email.split('@')[0],
       email,
       role: role || 'User',
+      inviteUrl,
+      expiresInHours,
+      supportEmail: process.env.ADMIN_EMAIL || 'info@alenalki.se'
+    }
+  });
+};
+
+/**
+ * Send account lockout notification email
+ * @param {Object} userData - User data including email, name and lockedUntil
+ */
+exports.sendAccountLockedEmail = async (userData) => {
+  const { email, name, lockedUntil } = userData;
+
+  await exports.sendTemplatedEmail({
+    to: email,
+    subject: 'Your Account Has Been Temporarily Locked',
+    template: 'account-locked',
+    context: {
+      name: name || email.split('@')[0],
+      lockedUntil: new Date(lockedUntil).toLocaleString(),
+      resetUrl: `${process.env.CLIENT_URL}/forgot-password`,
+      supportEmail: process.env.ADMIN_EMAIL || 'info@alenalki.se'
+    }
+  });
+};
+
+/**
+ * Send the warning that an unused account is about to be deactivated
+ * @param {Object} userData - User data including email, name, inactiveDays and deactivatesAt
+ */
+exports.sendDormantAccountWarningEmail = async (userData) => {
+  const { email, name, inactiveDays, deactivatesAt } = userData;
+
+  await exports.sendTemplatedEmail({
+    to: email,
+    subject: 'Your Account Will Be Deactivated Soon',
+    template: 'account-dormant',
+    context: {
+      name: name || email.split('@')[0],
+      inactiveDays,
+      deactivatesAt: new Date(deactivatesAt).toLocaleDateString(),
       loginUrl: `${process.env.CLIENT_URL}/login`,
       supportEmail: process.env.ADMIN_EMAIL || 'info@alenalki.se'
     }
   });
-};
\ No newline at end of file
+};
+
+/**
+ * Tell a self-registered user their account has been approved
+ * @param {Object} userData - User data including email and name
+ */
+exports.sendRegistrationApprovedEmail = async (userData) => {
+  const { email, name } = userData;
+
+  await exports.sendTemplatedEmail({
+    to: email,
+    subject: 'Your Registration Has Been Approved',
+    template: 'registration-approved',
+    context: {
+      name: name || email.split('@')[0],
+      loginUrl: `${process.env.CLIENT_URL}/login`,
+      supportEmail: process.env.ADMIN_EMAIL || 'info@alenalki.se'
+    }
+  });
+};
+
+/**
+ * Tell a self-registered user their account has been rejected
+ * @param {Object} userData - User data including email, name and an optional reason
+ */
+exports.sendRegistrationRejectedEmail = async (userData) => {
+  const { email, name, reason } = userData;
+
+  await exports.sendTemplatedEmail({
+    to: email,
+    subject: 'Your Registration Was Not Approved',
+    template: 'registration-rejected',
+    context: {
+      name: name || email.split('@')[0],
+      reason,
+      supportEmail: process.env.ADMIN_EMAIL || 'info@alenalki.se'
+    }
+  });
+};
@@ -0,0 +1,80 @@
+// utils/invitations.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const prisma = require('./prisma');
+const { sendAccountCreationEmail } = require('./email');
+
+/**
+ * Number of hours an invitation link stays valid
+ */
+exports.INVITE_EXPIRES_HOURS = parseInt(process.env.USER_INVITE_EXPIRES_HOURS) || 72;
+
+/**
+ * Whether a user is still waiting to accept an invitation
+ * @param {Object} user - User record
+ */
+exports.isInvitePending = (user) => Boolean(user.inviteTokenId);
+
+/**
+ * Issue a fresh invitation for a pending user and email the link.
+ * Any previously sent link stops working because its token ID no longer matches.
+ * @param {Object} user - Pending user record
+ * @param {String} [invitedById] - Admin sending the invitation
+ * @returns {Promise<Object>} Updated user
+ */
+exports.issueInvitation = async (user, invitedById) => {
+  const inviteTokenId = crypto.randomBytes(16).toString('hex');
+  const inviteExpires = new Date(Date.now() + exports.INVITE_EXPIRES_HOURS * 60 * 60 * 1000);
+
+  const updatedUser = await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      inviteTokenId,
+      inviteExpires,
+      invitedAt: new Date(),
+      ...(invitedById && { invitedById })
+    }
+  });
+
+  const token = jwt.sign(
+    { sub: user.id, jti: inviteTokenId, purpose: 'user-invite' },
+    process.env.JWT_SECRET,
+    { expiresIn: `${exports.INVITE_EXPIRES_HOURS}h` }
+  );
+
+  await sendAccountCreationEmail({
+    email: updatedUser.email,
+    name: updatedUser.name,
+    role: updatedUser.role,
+    inviteUrl: `${process.env.CLIENT_URL}/accept-invite/${token}`,
+    expiresInHours: exports.INVITE_EXPIRES_HOURS
+  });
+
+  return updatedUser;
+};
+
+/**
+ * Load the pending user behind an invitation token
+ * @param {String} token - Token from the invitation link
+ * @returns {Promise<Object|null>} Pending user, or null if the token is invalid,
+ * expired, revoked or superseded by a newer invitation
+ */
+exports.findInvitedUser = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(String(token || ''), process.env.JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+
+  if (decoded.purpose !== 'user-invite') return null;
+
+  const user = await prisma.user.findUnique({
+    where: { id: decoded.sub }
+  });
+
+  if (!user || user.inviteTokenId !== decoded.jti) return null;
+  if (!user.inviteExpires || user.inviteExpires < new Date()) return null;
+
+  return user;
+};
@@ -0,0 +1,210 @@
+// utils/loginThrottle.js
+const prisma = require('./prisma');
+const { sendAccountLockedEmail } = require('./email');
+
+const MAX_ACCOUNT_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const BASE_LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES) || 15;
+const MAX_LOCK_MINUTES = 24 * 60;
+const MAX_IP_ATTEMPTS = parseInt(process.env.LOGIN_MAX_IP_ATTEMPTS) || 20;
+const IP_WINDOW_MINUTES = 15;
+
+// The same message is returned for unknown emails and wrong passwords
+exports.INVALID_CREDENTIALS_MESSAGE = 'Invalid email or password';
+exports.LOCKED_MESSAGE = 'Too many failed login attempts. Please try again later.';
+
+/**
+ * Lock duration for the nth lockout: doubles each time, capped at 24 hours
+ * @param {Number} lockoutCount - Number of lockouts including this one
+ */
+const lockDurationMs = (lockoutCount) => {
+  const minutes = Math.min(BASE_LOCK_MINUTES * 2 ** (lockoutCount - 1), MAX_LOCK_MINUTES);
+  return minutes * 60 * 1000;
+};
+
+/**
+ * Record a login attempt for auditing and per-IP counting
+ * @param {Object} req - Express request
+ * @param {Object} attempt - { email, userId, success, reason }
+ */
+const logAttempt = (req, { email, userId, success, reason }) => {
+  return prisma.loginAttempt.create({
+    data: {
+      email: String(email || '').toLowerCase(),
+      userId: userId || null,
+      ipAddress: req.ip || null,
+      userAgent: req.get('user-agent') || null,
+      success,
+      reason: reason || null
+    }
+  });
+};
+
+/**
+ * When the client IP is locked out, the time the lock ends.
+ * Every MAX_IP_ATTEMPTS failures inside the window doubles the lock.
+ * @param {Object} req - Express request
+ * @returns {Promise<Date|null>}
+ */
+exports.getIpLockedUntil = async (req) => {
+  if (!req.ip) return null;
+
+  const windowStart = new Date(Date.now() - IP_WINDOW_MINUTES * 60 * 1000);
+  const failures = await prisma.loginAttempt.findMany({
+    where: { ipAddress: req.ip, success: false, createdAt: { gte: windowStart } },
+    select: { createdAt: true },
+    orderBy: { createdAt: 'desc' },
+    take: MAX_IP_ATTEMPTS * 8
+  });
+
+  if (failures.length < MAX_IP_ATTEMPTS) return null;
+
+  const lockedUntil = new Date(
+    failures[0].createdAt.getTime() + lockDurationMs(Math.floor(failures.length / MAX_IP_ATTEMPTS))
+  );
+  return lockedUntil > new Date() ? lockedUntil : null;
+};
+
+/**
+ * When the account is locked out, the time the lock ends
+ * @param {Object} user - User record
+ * @returns {Date|null}
+ */
+exports.getAccountLockedUntil = (user) => {
+  return user.lockedUntil && user.lockedUntil > new Date() ? user.lockedUntil : null;
+};
+
+/**
+ * When an email without an account is "locked out", the time the lock ends.
+ * Worked out from its logged unknown_email attempts with the same limits as
+ * a real account, so a lockout response does not reveal that an account
+ * exists.
+ * @param {String} email - Email that was tried
+ * @returns {Promise<Date|null>}
+ */
+exports.getUnknownEmailLockedUntil = async (email) => {
+  const windowStart = new Date(Date.now() - MAX_LOCK_MINUTES * 60 * 1000);
+  const failures = await prisma.loginAttempt.findMany({
+    where: {
+      email: String(email || '').toLowerCase(),
+      userId: null,
+      reason: 'unknown_email',
+      createdAt: { gte: windowStart }
+    },
+    select: { createdAt: true },
+    orderBy: { createdAt: 'desc' },
+    take: MAX_ACCOUNT_ATTEMPTS * 8
+  });
+
+  // Every MAX_ACCOUNT_ATTEMPTS failures lock, as failedLoginAttempts would
+  const lockouts = Math.floor(failures.length / MAX_ACCOUNT_ATTEMPTS);
+  if (lockouts === 0) return null;
+
+  const lastLockAt = failures[failures.length % MAX_ACCOUNT_ATTEMPTS].createdAt;
+  const lockedUntil = new Date(lastLockAt.getTime() + lockDurationMs(lockouts));
+  return lockedUntil > new Date() ? lockedUntil : null;
+};
+
+/**
+ * Count a failed login. Locks the account (and emails its owner) once the
+ * attempt limit is reached. Unknown emails lock the same way, without the
+ * email.
+ * @param {Object} req - Express request
+ * @param {String} email - Email that was tried
+ * @param {Object|null} user - Matching user, if any
+ * @param {String} reason - Why the attempt failed
+ * @param {Boolean} [countTowardsLock=true] - Whether the attempt counts towards locking the account
+ * @returns {Promise<Date|null>} Lock end time if this attempt, or one running alongside it, locked the account
+ */
+exports.recordFailedLogin = async (req, email, user, reason, countTowardsLock = true) => {
+  await logAttempt(req, { email, userId: user && user.id, success: false, reason });
+
+  if (!countTowardsLock) return null;
+  if (!user) return exports.getUnknownEmailLockedUntil(email);
+
+  // Counted in the database, so parallel guesses cannot all write the same count
+  const counted = await prisma.user.update({
+    where: { id: user.id },
+    data: { failedLoginAttempts: { increment: 1 } },
+    select: { failedLoginAttempts: true, lockoutCount: true }
+  });
+
+  if (counted.failedLoginAttempts < MAX_ACCOUNT_ATTEMPTS) return null;
+
+  const lockoutCount = (counted.lockoutCount || 0) + 1;
+  const lockedUntil = new Date(Date.now() + lockDurationMs(lockoutCount));
+
+  // Only one of several failures reaching the limit together takes the lock
+  const { count } = await prisma.user.updateMany({
+    where: { id: user.id, failedLoginAttempts: { gte: MAX_ACCOUNT_ATTEMPTS } },
+    data: { failedLoginAttempts: 0, lockoutCount, lockedUntil }
+  });
+
+  if (count === 0) {
+    const current = await prisma.user.findUnique({
+      where: { id: user.id },
+      select: { lockedUntil: true }
+    });
+    return current && exports.getAccountLockedUntil(current);
+  }
+
+  try {
+    await sendAccountLockedEmail({ email: user.email, name: user.name, lockedUntil });
+  } catch (emailError) {
+    console.error('Failed to send account locked email:', emailError);
+  }
+
+  return lockedUntil;
+};
+
+/**
+ * Record a successful login in the login history, remember when and from
+ * where the user last signed in, and reset the failure counters
+ * @param {Object} req - Express request
+ * @param {Object} user - User record
+ */
+exports.recordSuccessfulLogin = async (req, user) => {
+  await logAttempt(req, { email: user.email, userId: user.id, success: true });
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      lastLoginAt: new Date(),
+      lastLoginIp: req.ip || null,
+      ...((user.failedLoginAttempts || user.lockoutCount || user.lockedUntil) && {
+        failedLoginAttempts: 0,
+        lockoutCount: 0,
+        lockedUntil: null
+      })
+    }
+  });
+};
+
+/**
+ * Reset the failure counters once the user has given the right password
+ * outside the login form, such as when changing their password or email
+ * @param {Object} user - User record
+ */
+exports.clearFailedLogins = async (user) => {
+  if (!user.failedLoginAttempts && !user.lockoutCount && !user.lockedUntil) return;
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { failedLoginAttempts: 0, lockoutCount: 0, lockedUntil: null }
+  });
+};
+
+/**
+ * Send the shared lockout response
+ * @param {Object} res - Express response
+ * @param {Date} lockedUntil - When the lock ends
+ */
+exports.sendLockedResponse = (res, lockedUntil) => {
+  const retryAfter = Math.max(1, Math.ceil((lockedUntil.getTime() - Date.now()) / 1000));
+
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: exports.LOCKED_MESSAGE,
+    retryAfter
+  });
+};
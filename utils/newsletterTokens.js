@@ -0,0 +1,80 @@
+// utils/newsletterTokens.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const getSecret = () => process.env.NEWSLETTER_SECRET || process.env.JWT_SECRET;
+
+/**
+ * Number of hours a pending subscription stays confirmable
+ */
+exports.CONFIRMATION_EXPIRES_HOURS = parseInt(process.env.NEWSLETTER_CONFIRMATION_EXPIRES_HOURS) || 48;
+
+/**
+ * Create a signed double opt-in confirmation token
+ * @param {Object} subscriber - Newsletter record (id, email)
+ * @returns {String} Signed token
+ */
+exports.createConfirmationToken = (subscriber) => {
+  return jwt.sign(
+    { sub: subscriber.id, email: subscriber.email, purpose: 'newsletter-confirm' },
+    getSecret(),
+    { expiresIn: `${exports.CONFIRMATION_EXPIRES_HOURS}h` }
+  );
+};
+
+/**
+ * Verify a double opt-in confirmation token
+ * @param {String} token - Token from the confirmation link
+ * @returns {Object|null} Decoded payload, or null if invalid or expired
+ */
+exports.verifyConfirmationToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, getSecret());
+    return decoded.purpose === 'newsletter-confirm' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Compute the HMAC signature that binds an unsubscribe token to a subscriber
+ * @param {Object} subscriber - Newsletter record (id, email)
+ */
+const signUnsubscribe = (subscriber) => {
+  return crypto
+    .createHmac('sha256', getSecret())
+    .update(`unsubscribe:${subscriber.id}:${subscriber.email.toLowerCase()}`)
+    .digest('base64url');
+};
+
+/**
+ * Create a per-subscriber unsubscribe token. Tokens do not expire, so links
+ * in old newsletters keep working.
+ * @param {Object} subscriber - Newsletter record (id, email)
+ * @returns {String} Token in the form "<subscriberId>.<signature>"
+ */
+exports.createUnsubscribeToken = (subscriber) => {
+  return `${subscriber.id}.${signUnsubscribe(subscriber)}`;
+};
+
+/**
+ * Extract the subscriber id from an unsubscribe token without trusting it
+ * @param {String} token - Token from the unsubscribe link
+ * @returns {String|null} Subscriber id, or null if malformed
+ */
+exports.parseUnsubscribeToken = (token) => {
+  const [id, signature] = String(token || '').split('.');
+  return id && signature && /^[a-f0-9]{24}$/i.test(id) ? id : null;
+};
+
+/**
+ * Check an unsubscribe token against the subscriber it claims to belong to
+ * @param {String} token - Token from the unsubscribe link
+ * @param {Object} subscriber - Newsletter record (id, email)
+ * @returns {Boolean}
+ */
+exports.verifyUnsubscribeToken = (token, subscriber) => {
+  const expected = Buffer.from(exports.createUnsubscribeToken(subscriber));
+  const actual = Buffer.from(String(token));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
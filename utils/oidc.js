@@ -0,0 +1,379 @@
+// utils/oidc.js
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const prisma = require('./prisma');
+const { isInvitePending } = require('./invitations');
+const { roleExists } = require('./permissions');
+
+// Discovery document and signing keys are cached; keys are refetched when an unknown kid shows up
+const METADATA_TTL_MS = 60 * 60 * 1000;
+const SIGNING_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+/**
+ * Minutes a user has to complete the login at the identity provider
+ */
+exports.LOGIN_STATE_MINUTES = 10;
+
+/**
+ * Reasons a single sign-on attempt is refused. The code is passed back to the
+ * frontend login page, so it can show a matching message.
+ */
+class OidcLoginError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+exports.OidcLoginError = OidcLoginError;
+
+const getConfig = () => ({
+  issuer: (process.env.OIDC_ISSUER || '').replace(/\/+$/, ''),
+  clientId: process.env.OIDC_CLIENT_ID,
+  clientSecret: process.env.OIDC_CLIENT_SECRET,
+  redirectUri: process.env.OIDC_REDIRECT_URI,
+  scopes: process.env.OIDC_SCOPES || 'openid email profile',
+  groupsClaim: process.env.OIDC_GROUPS_CLAIM || 'groups',
+  defaultRole: process.env.OIDC_DEFAULT_ROLE || null,
+  // For providers that only hand out verified addresses but omit email_verified
+  trustEmail: process.env.OIDC_TRUST_EMAIL === 'true',
+  providerName: process.env.OIDC_PROVIDER_NAME || 'Single sign-on'
+});
+
+/**
+ * Whether single sign-on is configured for this deployment
+ */
+exports.isOidcEnabled = () => {
+  const { issuer, clientId, redirectUri } = getConfig();
+  return Boolean(issuer && clientId && redirectUri);
+};
+
+/**
+ * Whether email/password login is allowed. Deployments where all staff use
+ * single sign-on set PASSWORD_LOGIN_ENABLED=false.
+ */
+exports.isPasswordLoginEnabled = () => process.env.PASSWORD_LOGIN_ENABLED !== 'false';
+
+/**
+ * Name shown on the login button
+ */
+exports.getProviderName = () => getConfig().providerName;
+
+/**
+ * Map IdP groups to a role. OIDC_ROLE_MAPPING lists "group=ROLE" pairs,
+ * comma separated, most privileged first; the first group the user is in wins.
+ * @param {String[]} groups - Groups from the ID token or userinfo
+ * @returns {Promise<String|null>} Role name, or null if no group is mapped
+ */
+const roleForGroups = async (groups) => {
+  const mappings = (process.env.OIDC_ROLE_MAPPING || '')
+    .split(',')
+    .map(pair => pair.split('=').map(part => part.trim()))
+    .filter(([group, role]) => group && role);
+
+  for (const [group, role] of mappings) {
+    if (!groups.includes(group)) continue;
+
+    if (await roleExists(role)) return role;
+    console.warn(`OIDC_ROLE_MAPPING refers to unknown role "${role}"`);
+  }
+
+  return null;
+};
+
+let metadataCache = null;
+let jwksCache = null;
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => null);
+
+  if (!response.ok || !body) {
+    const detail = body && (body.error_description || body.error);
+    throw new Error(`OIDC request to ${url} failed with ${response.status}${detail ? `: ${detail}` : ''}`);
+  }
+  return body;
+};
+
+/**
+ * Load the issuer's discovery document
+ */
+const getMetadata = async () => {
+  if (metadataCache && metadataCache.expiresAt > Date.now()) return metadataCache.value;
+
+  const { issuer } = getConfig();
+  const metadata = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+  if (metadata.issuer.replace(/\/+$/, '') !== issuer) {
+    throw new Error(`OIDC discovery returned issuer ${metadata.issuer}, expected ${issuer}`);
+  }
+
+  metadataCache = { value: metadata, expiresAt: Date.now() + METADATA_TTL_MS };
+  return metadata;
+};
+
+/**
+ * Find the public key an ID token was signed with
+ * @param {String} kid - Key ID from the token header
+ */
+const getSigningKey = async (kid) => {
+  const findKey = (keys) => keys.find(key => key.use !== 'enc' && (!kid || key.kid === kid));
+
+  let key = jwksCache && jwksCache.expiresAt > Date.now() ? findKey(jwksCache.keys) : null;
+  if (!key) {
+    const { jwks_uri: jwksUri } = await getMetadata();
+    const { keys } = await fetchJson(jwksUri);
+    jwksCache = { keys, expiresAt: Date.now() + METADATA_TTL_MS };
+    key = findKey(keys);
+  }
+
+  if (!key) throw new OidcLoginError('invalid_token', 'ID token was signed with an unknown key');
+  return crypto.createPublicKey({ key, format: 'jwk' });
+};
+
+/**
+ * Only allow redirects back to a path on the frontend
+ * @param {String} returnTo - Requested path
+ */
+const safeReturnPath = (returnTo) => {
+  return typeof returnTo === 'string' && /^\/(?![/\\])/.test(returnTo) ? returnTo : '/';
+};
+
+const base64UrlSha256 = (value) => crypto.createHash('sha256').update(value).digest('base64url');
+
+/**
+ * Start an authorization code + PKCE login
+ * @param {String} [returnTo] - Frontend path to land on after login
+ * @returns {Promise<{ authorizationUrl: String, stateToken: String }>} Where to send
+ * the browser, and a signed token holding the PKCE verifier to keep in a cookie
+ */
+exports.createLoginRequest = async (returnTo) => {
+  const { clientId, redirectUri, scopes } = getConfig();
+  const metadata = await getMetadata();
+
+  const state = crypto.randomBytes(16).toString('base64url');
+  const nonce = crypto.randomBytes(16).toString('base64url');
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+
+  const authorizationUrl = new URL(metadata.authorization_endpoint);
+  authorizationUrl.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    scope: scopes,
+    state,
+    nonce,
+    code_challenge: base64UrlSha256(codeVerifier),
+    code_challenge_method: 'S256'
+  }).toString();
+
+  const stateToken = jwt.sign(
+    { state, nonce, codeVerifier, returnTo: safeReturnPath(returnTo), purpose: 'oidc-login' },
+    process.env.JWT_SECRET,
+    { expiresIn: `${exports.LOGIN_STATE_MINUTES}m` }
+  );
+
+  return { authorizationUrl: authorizationUrl.toString(), stateToken };
+};
+
+/**
+ * Read the login state saved when the login started
+ * @param {String} stateToken - Token from the state cookie
+ * @returns {Object|null} { state, nonce, codeVerifier, returnTo }
+ */
+exports.readLoginState = (stateToken) => {
+  if (!stateToken) return null;
+
+  try {
+    const decoded = jwt.verify(stateToken, process.env.JWT_SECRET);
+    return decoded.purpose === 'oidc-login' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Exchange an authorization code for tokens
+ * @param {String} code - Code from the callback
+ * @param {String} codeVerifier - PKCE verifier from the login state
+ */
+const exchangeCode = async (code, codeVerifier) => {
+  const { clientId, clientSecret, redirectUri } = getConfig();
+  const metadata = await getMetadata();
+
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    code_verifier: codeVerifier,
+    client_id: clientId
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+
+  // client_secret_basic is the spec default; public clients rely on PKCE alone
+  if (clientSecret) {
+    const methods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+    if (methods.includes('client_secret_basic')) {
+      const credentials = `${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    } else {
+      body.set('client_secret', clientSecret);
+    }
+  }
+
+  return fetchJson(metadata.token_endpoint, { method: 'POST', headers, body });
+};
+
+/**
+ * Verify the ID token's signature and claims
+ * @param {String} idToken - ID token from the token response
+ * @param {String} nonce - Nonce sent with the authorization request
+ * @returns {Promise<Object>} Token claims
+ */
+const verifyIdToken = async (idToken, nonce) => {
+  const { issuer, clientId } = getConfig();
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) throw new OidcLoginError('invalid_token', 'ID token is malformed');
+
+  const key = await getSigningKey(decoded.header.kid);
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, { algorithms: SIGNING_ALGORITHMS, audience: clientId });
+  } catch (error) {
+    throw new OidcLoginError('invalid_token', `ID token rejected: ${error.message}`);
+  }
+
+  if (String(claims.iss).replace(/\/+$/, '') !== issuer) {
+    throw new OidcLoginError('invalid_token', 'ID token was issued by another issuer');
+  }
+  if (claims.nonce !== nonce) {
+    throw new OidcLoginError('invalid_token', 'ID token nonce does not match');
+  }
+
+  return claims;
+};
+
+/**
+ * Finish the login at the callback: check the state, exchange the code and
+ * collect the user's identity from the ID token (and userinfo, when the ID
+ * token leaves out the email, its verification or groups)
+ * @param {Object} query - Callback query string
+ * @param {Object} loginState - Result of readLoginState
+ * @returns {Promise<{ subject: String, email: String, name: String|null, groups: String[] }>}
+ */
+exports.completeLogin = async (query, loginState) => {
+  const { groupsClaim, trustEmail } = getConfig();
+
+  if (query.error) {
+    throw new OidcLoginError('provider_error', query.error_description || query.error);
+  }
+  if (!loginState || !query.code || query.state !== loginState.state) {
+    throw new OidcLoginError('invalid_state', 'Login session expired or does not match');
+  }
+
+  const tokens = await exchangeCode(query.code, loginState.codeVerifier);
+  if (!tokens.id_token) {
+    throw new OidcLoginError('invalid_token', 'Token response did not include an ID token');
+  }
+
+  let claims = await verifyIdToken(tokens.id_token, loginState.nonce);
+
+  const metadata = await getMetadata();
+  if ((!claims.email || claims.email_verified === undefined || !claims[groupsClaim]) && metadata.userinfo_endpoint && tokens.access_token) {
+    const userInfo = await fetchJson(metadata.userinfo_endpoint, {
+      headers: { Authorization: `Bearer ${tokens.access_token}`, Accept: 'application/json' }
+    });
+    if (userInfo.sub !== claims.sub) {
+      throw new OidcLoginError('invalid_token', 'Userinfo subject does not match the ID token');
+    }
+    claims = { ...userInfo, ...claims, [groupsClaim]: claims[groupsClaim] || userInfo[groupsClaim] };
+  }
+
+  if (!claims.email) {
+    throw new OidcLoginError('email_missing', 'The identity provider did not share an email address');
+  }
+  // Accounts are matched by email, so an unverified address could take over
+  // someone else's account. Some providers send the claim as a string.
+  const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+  if (!emailVerified && !trustEmail) {
+    throw new OidcLoginError('email_unverified', 'Your email address is not verified with the identity provider');
+  }
+
+  const groups = claims[groupsClaim];
+  const name = claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ');
+
+  return {
+    subject: String(claims.sub),
+    email: String(claims.email).toLowerCase(),
+    name: name || null,
+    groups: Array.isArray(groups) ? groups.map(String) : groups ? [String(groups)] : []
+  };
+};
+
+/**
+ * Find the user for a single sign-on identity, linking or provisioning the
+ * account as needed. Users are matched by IdP subject, then by email. A mapped
+ * group sets the role on every login; existing users keep their role when none
+ * of their groups is mapped, and new users then get OIDC_DEFAULT_ROLE.
+ * A pending invitation is accepted by signing in.
+ * @param {Object} identity - Result of completeLogin
+ * @returns {Promise<Object>} User record
+ */
+exports.findOrProvisionUser = async (identity) => {
+  const { defaultRole } = getConfig();
+  const mappedRole = await roleForGroups(identity.groups);
+
+  let user = await prisma.user.findFirst({
+    where: { oidcSubject: identity.subject }
+  });
+  if (!user) {
+    user = await prisma.user.findUnique({
+      where: { email: identity.email }
+    });
+    if (user && user.oidcSubject) {
+      throw new OidcLoginError('account_conflict', 'This account is linked to a different identity');
+    }
+  }
+
+  if (!user) {
+    const role = mappedRole || defaultRole;
+    if (!role) {
+      throw new OidcLoginError('not_authorized', 'Your account has not been given access to this site');
+    }
+
+    // Nobody knows this password; the account signs in through the identity provider
+    const placeholderPassword = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+
+    return prisma.user.create({
+      data: {
+        email: identity.email,
+        ...(identity.name && { name: identity.name }),
+        password: placeholderPassword,
+        role,
+        oidcSubject: identity.subject,
+        isVerified: true,
+        isActive: true
+      }
+    });
+  }
+
+  const invitePending = isInvitePending(user);
+  if (!user.isActive && !invitePending) {
+    throw new OidcLoginError('account_inactive', 'Your account is not active please contact admin');
+  }
+
+  return prisma.user.update({
+    where: { id: user.id },
+    data: {
+      oidcSubject: identity.subject,
+      isVerified: true,
+      ...(mappedRole && { role: mappedRole }),
+      ...(invitePending && {
+        isActive: true,
+        inviteTokenId: null,
+        inviteExpires: null,
+        ...(identity.name && { name: identity.name })
+      })
+    }
+  });
+};
@@ -0,0 +1,62 @@
+// utils/otp.js
+const crypto = require('crypto');
+
+/**
+ * Minutes an email verification code stays valid
+ */
+exports.OTP_EXPIRES_MINUTES = parseInt(process.env.OTP_EXPIRES_MINUTES) || 15;
+
+/**
+ * Wrong guesses allowed before a verification code is discarded
+ */
+exports.MAX_OTP_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS) || 5;
+
+/**
+ * Generate a 6-digit verification code with a CSPRNG
+ * @returns {String}
+ */
+exports.generateOtp = () => String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+
+/**
+ * Keyed hash for verification codes and reset tokens. Keyed so that a leaked
+ * database does not let 6-digit codes be recovered by hashing every value.
+ * @param {String} token - Code or token to store
+ * @returns {String} Hex digest
+ */
+exports.hashToken = (token) => {
+  return crypto
+    .createHmac('sha256', process.env.OTP_SECRET || process.env.JWT_SECRET)
+    .update(String(token))
+    .digest('hex');
+};
+
+/**
+ * Compare a submitted code or token with a stored hash in constant time
+ * @param {String} token - Value from the request
+ * @param {String} storedHash - Value produced by hashToken
+ */
+exports.matchesToken = (token, storedHash) => {
+  if (!token || !storedHash) return false;
+
+  const expected = Buffer.from(storedHash, 'hex');
+  const actual = Buffer.from(exports.hashToken(token), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Fields that start a new verification: the plain code to email and the
+ * values to store on the user
+ * @returns {{ code: String, data: Object }}
+ */
+exports.createVerificationCode = () => {
+  const code = exports.generateOtp();
+
+  return {
+    code,
+    data: {
+      verificationToken: exports.hashToken(code),
+      verificationTokenExpires: new Date(Date.now() + exports.OTP_EXPIRES_MINUTES * 60 * 1000),
+      verificationAttempts: 0
+    }
+  };
+};
@@ -0,0 +1,175 @@
+// utils/passwordPolicy.js
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+
+const MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH) || 10;
+// bcrypt ignores everything after 72 bytes
+const MAX_LENGTH = 72;
+const MIN_CHARACTER_CLASSES = parseInt(process.env.PASSWORD_MIN_CHARACTER_CLASSES) || 3;
+const HISTORY_SIZE = parseInt(process.env.PASSWORD_HISTORY_SIZE) || 5;
+
+const CHARACTER_CLASSES = [
+  { name: 'lowercase letters', pattern: /[a-z]/ },
+  { name: 'uppercase letters', pattern: /[A-Z]/ },
+  { name: 'digits', pattern: /\d/ },
+  { name: 'symbols', pattern: /[^A-Za-z0-9]/ }
+];
+
+// Bundled offline list, loaded on first use
+let commonPasswords;
+const getCommonPasswords = () => {
+  if (!commonPasswords) {
+    const listPath = path.join(__dirname, '..', 'data', 'common-passwords.txt');
+    commonPasswords = new Set(
+      fs.readFileSync(listPath, 'utf8')
+        .split('\n')
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'))
+    );
+  }
+  return commonPasswords;
+};
+
+/**
+ * Whether a password is on the common/breached list, as-is or once trailing
+ * digits and symbols are removed ("Summer2024!" -> "summer")
+ * @param {String} password - Candidate password
+ */
+const isCommonPassword = (password) => {
+  const list = getCommonPasswords();
+  const lowered = password.toLowerCase();
+  const base = lowered.replace(/[^a-z]+$/, '');
+
+  return list.has(lowered) || (base.length >= 4 && list.has(base));
+};
+
+// Schema default for User.name; it says nothing about the user
+const DEFAULT_NAME = 'Default Name';
+
+// Shorter name parts ("li", "ann") are too common to forbid inside passwords
+const MIN_PERSONAL_TERM_LENGTH = 4;
+
+/**
+ * Parts of the user's identity that must not appear in the password
+ * @param {Object} user - { email, name }
+ */
+const personalTerms = ({ email, name } = {}) => {
+  const terms = [];
+  if (email) {
+    terms.push(email.toLowerCase(), email.split('@')[0].toLowerCase());
+  }
+  if (name && name !== DEFAULT_NAME) {
+    terms.push(...name.toLowerCase().split(/\s+/));
+  }
+  return terms.filter(term => term.length >= MIN_PERSONAL_TERM_LENGTH);
+};
+
+/**
+ * The active policy, for clients that show the rules next to the form
+ */
+exports.getPasswordPolicy = () => ({
+  minLength: MIN_LENGTH,
+  maxLength: MAX_LENGTH,
+  minCharacterClasses: MIN_CHARACTER_CLASSES,
+  characterClasses: CHARACTER_CLASSES.map(characterClass => characterClass.name),
+  historySize: HISTORY_SIZE
+});
+
+/**
+ * Check a password against the policy
+ * @param {String} password - Candidate password
+ * @param {Object} [user] - Existing or new user: { email, name, password, passwordHistory }
+ * @returns {Promise<Array<{ code: String, message: String }>>} Violations, empty when the password is acceptable
+ */
+exports.validatePassword = async (password, user = {}) => {
+  if (typeof password !== 'string' || password.length === 0) {
+    return [{ code: 'PASSWORD_REQUIRED', message: 'Password is required' }];
+  }
+
+  const errors = [];
+
+  if (password.length < MIN_LENGTH) {
+    errors.push({
+      code: 'PASSWORD_TOO_SHORT',
+      message: `Password must be at least ${MIN_LENGTH} characters long`
+    });
+  }
+
+  if (Buffer.byteLength(password, 'utf8') > MAX_LENGTH) {
+    errors.push({
+      code: 'PASSWORD_TOO_LONG',
+      message: `Password must be at most ${MAX_LENGTH} bytes long`
+    });
+  }
+
+  const classCount = CHARACTER_CLASSES.filter(({ pattern }) => pattern.test(password)).length;
+  if (classCount < MIN_CHARACTER_CLASSES) {
+    errors.push({
+      code: 'PASSWORD_MISSING_CHARACTER_CLASSES',
+      message: `Password must contain at least ${MIN_CHARACTER_CLASSES} of: ${CHARACTER_CLASSES.map(c => c.name).join(', ')}`
+    });
+  }
+
+  const lowered = password.toLowerCase();
+  if (personalTerms(user).some(term => lowered.includes(term))) {
+    errors.push({
+      code: 'PASSWORD_CONTAINS_PERSONAL_INFO',
+      message: 'Password must not contain your email address or name'
+    });
+  }
+
+  if (isCommonPassword(password)) {
+    errors.push({
+      code: 'PASSWORD_TOO_COMMON',
+      message: 'This password is too common or has appeared in a data breach'
+    });
+  }
+
+  // Only compare hashes once the cheap checks pass; each comparison is slow on purpose
+  if (errors.length === 0) {
+    const previousHashes = [user.password, ...(user.passwordHistory || [])].filter(Boolean);
+    for (const hash of previousHashes) {
+      if (await bcrypt.compare(password, hash)) {
+        errors.push({
+          code: 'PASSWORD_REUSED',
+          message: `Password must differ from your last ${HISTORY_SIZE} passwords`
+        });
+        break;
+      }
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Hash a new password and roll the previous hash into the history. Together
+ * with the current hash, the history covers the last HISTORY_SIZE passwords.
+ * @param {String} password - New password, already validated
+ * @param {Object} [user] - Existing user, omitted for new accounts
+ * @returns {Promise<{ password: String, passwordHistory: String[] }>} Fields to save on the user
+ */
+exports.hashNewPassword = async (password, user) => {
+  const salt = await bcrypt.genSalt(10);
+  const hashedPassword = await bcrypt.hash(password, salt);
+
+  const passwordHistory = user
+    ? [user.password, ...(user.passwordHistory || [])].filter(Boolean).slice(0, HISTORY_SIZE - 1)
+    : [];
+
+  return { password: hashedPassword, passwordHistory };
+};
+
+/**
+ * Send the structured policy violation response
+ * @param {Object} res - Express response
+ * @param {Array} errors - Violations from validatePassword
+ */
+exports.sendPasswordPolicyErrors = (res, errors) => {
+  return res.status(400).json({
+    success: false,
+    message: 'Password does not meet the password policy',
+    errors
+  });
+};
@@ -0,0 +1,188 @@
+// utils/permissions.js
+const prisma = require('./prisma');
+
+// Every permission a role can be granted
+exports.PERMISSIONS = {
+  'users:read': 'View dashboard users',
+  'users:manage': 'Invite, edit, lock and remove dashboard users',
+  'roles:manage': 'Create and edit roles and their permissions',
+  'settings:manage': 'Change security settings such as required two-factor authentication',
+  'audit:read': 'Search the audit log of administrative and editorial changes',
+  'api-keys:manage': 'Issue and revoke API keys for server-to-server clients',
+  'contact:manage': 'Read, reply to and organise contact messages',
+  'newsletter:read': 'View newsletter subscriber statistics',
+  'newsletter:write': 'Create, edit and test newsletter campaigns',
+  'newsletter:send': 'Send newsletter campaigns to subscribers',
+  'events:read': 'View scheduled and hidden events',
+  'events:manage': 'Create, edit and remove events',
+  'festival-events:read': 'View scheduled and hidden festival events',
+  'festival-events:manage': 'Create, edit and remove festival events',
+  'festival-highlights:manage': 'Create, edit and remove festival highlights',
+  'transportation:manage': 'Create, edit and remove transportation options',
+  'content:pull': 'Apply due publish schedules and refresh the frontend cache on demand',
+  'news:read': 'View news drafts, items in review and scheduled news',
+  'news:write': 'Create and edit news',
+  'news:publish': 'Publish, unpublish and feature news',
+  'news:delete': 'Delete news',
+  'blog:read': 'View blog drafts, posts in review and scheduled posts',
+  'blog:write': 'Create and edit blog posts',
+  'blog:publish': 'Publish, unpublish and feature blog posts',
+  'blog:delete': 'Delete blog posts'
+};
+
+// Built-in roles. ADMIN always holds every permission; EDITOR's defaults apply
+// until an admin saves a different set.
+exports.ADMIN_ROLE = 'ADMIN';
+exports.SYSTEM_ROLES = {
+  ADMIN: {
+    label: 'Administrator',
+    permissions: Object.keys(exports.PERMISSIONS)
+  },
+  EDITOR: {
+    label: 'Editor',
+    permissions: [
+      'users:read',
+      'contact:manage',
+      'newsletter:read',
+      'newsletter:write',
+      'newsletter:send',
+      'news:read',
+      'news:write',
+      'news:publish',
+      'news:delete',
+      'blog:read',
+      'blog:write',
+      'blog:publish',
+      'blog:delete'
+    ]
+  }
+};
+
+// Role new users get when none is given; matches the User.role schema default
+exports.DEFAULT_ROLE = 'EDITOR';
+
+// Role permissions are read on every protected request, so keep them briefly
+const CACHE_TTL_MS = 30 * 1000;
+const cache = new Map();
+
+/**
+ * Forget cached role permissions after a role changes
+ */
+exports.clearPermissionCache = () => cache.clear();
+
+/**
+ * Load a role, falling back to the built-in definition for system roles
+ * @param {String} name - Role name as stored on users
+ * @returns {Promise<Object|null>} { name, label, description, permissions, isSystem }
+ */
+exports.findRole = async (name) => {
+  if (!name) return null;
+
+  const systemRole = exports.SYSTEM_ROLES[name];
+  if (name === exports.ADMIN_ROLE) {
+    return { name, ...systemRole, description: null, isSystem: true };
+  }
+
+  const role = await prisma.role.findUnique({
+    where: { name }
+  });
+
+  if (role) return { ...role, isSystem: Boolean(systemRole) };
+  if (systemRole) return { name, ...systemRole, description: null, isSystem: true };
+  return null;
+};
+
+/**
+ * Permissions granted to a role
+ * @param {String} name - Role name
+ * @returns {Promise<String[]>}
+ */
+exports.getRolePermissions = async (name) => {
+  const cached = cache.get(name);
+  if (cached && cached.expiresAt > Date.now()) return cached.permissions;
+
+  const role = await exports.findRole(name);
+  const permissions = role ? role.permissions : [];
+
+  cache.set(name, { permissions, expiresAt: Date.now() + CACHE_TTL_MS });
+  return permissions;
+};
+
+/**
+ * Permissions a user would grant without holding them. Roles can only be
+ * given permissions their editor has, and only be assigned by users who hold
+ * all of their permissions, so no one can raise their own access through a
+ * role they create, edit or assign.
+ * @param {Object} user - User making the change
+ * @param {String[]} permissions - Requested permissions
+ * @param {String[]} [current=[]] - Permissions the role already has
+ * @returns {Promise<String[]>}
+ */
+exports.findNotHeld = async (user, permissions, current = []) => {
+  const ownPermissions = await exports.getRolePermissions(user.role);
+  return permissions.filter(permission => !current.includes(permission) && !ownPermissions.includes(permission));
+};
+
+/**
+ * Whether a user may give a role to someone, themselves included
+ * @param {Object} user - User making the change
+ * @param {String} role - Role being assigned
+ * @returns {Promise<Boolean>}
+ */
+exports.canAssignRole = async (user, role) => {
+  const notHeld = await exports.findNotHeld(user, await exports.getRolePermissions(role));
+  return notHeld.length === 0;
+};
+
+/**
+ * Whether a user's role grants a permission
+ * @param {Object} user - User record
+ * @param {String} permission - Permission key, e.g. "news:publish"
+ */
+exports.hasPermission = async (user, permission) => {
+  if (!user) return false;
+  if (user.role === exports.ADMIN_ROLE) return true;
+
+  const permissions = await exports.getRolePermissions(user.role);
+  return permissions.includes(permission);
+};
+
+/**
+ * Whether the caller of a request may use a permission: the user's role must
+ * grant it and, for requests made with an API key, so must the key's scopes
+ * @param {Object} req - Express request after protect or optionalAuth
+ * @param {String} permission - Permission key, e.g. "news:publish"
+ */
+exports.requestHasPermission = async (req, permission) => {
+  if (req.apiKey && !req.apiKey.scopes.includes(permission)) return false;
+  return exports.hasPermission(req.user, permission);
+};
+
+// Permissions that show unpublished content of an area. The read scope is
+// enough, so API keys for integrations need no write access just to read.
+const UNPUBLISHED_READERS = {
+  news: ['news:read', 'news:write'],
+  blog: ['blog:read', 'blog:write'],
+  events: ['events:read', 'events:manage'],
+  'festival-events': ['festival-events:read', 'festival-events:manage']
+};
+
+/**
+ * Whether the caller of a request may see drafts, scheduled and hidden items
+ * @param {Object} req - Express request after protect or optionalAuth
+ * @param {String} area - Key of UNPUBLISHED_READERS, e.g. "festival-events"
+ */
+exports.canReadUnpublished = async (req, area) => {
+  for (const permission of UNPUBLISHED_READERS[area]) {
+    if (await exports.requestHasPermission(req, permission)) return true;
+  }
+  return false;
+};
+
+/**
+ * Whether a role name refers to a system or custom role
+ * @param {String} name - Role name
+ */
+exports.roleExists = async (name) => {
+  return Boolean(await exports.findRole(name));
+};
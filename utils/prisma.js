@@ -1,9 +1,10 @@
 // utils/prisma.js
 const { PrismaClient } = require('@prisma/client');
+const { withAuditLog } = require('./auditLog');
 
 const globalForPrisma = global;
 
-const prisma = globalForPrisma.prisma || new PrismaClient();
+const prisma = globalForPrisma.prisma || withAuditLog(new PrismaClient());
 
 if (process.env.NODE_ENV !== 'production') {
   globalForPrisma.prisma = prisma;
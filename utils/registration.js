@@ -0,0 +1,36 @@
+// utils/registration.js
+const { getSetting } = require('./settings');
+
+// Setting key holding how self-registration through POST /signup works
+exports.REGISTRATION_MODE_SETTING = 'registrationMode';
+
+/**
+ * open: verified signups can sign in straight away
+ * approval-required: verified signups wait in a queue for an administrator
+ * closed: signup is switched off; accounts are created by invitation only
+ */
+exports.REGISTRATION_MODES = ['open', 'approval-required', 'closed'];
+
+// Used until an administrator picks a mode. Signups get content access, so they are reviewed by default.
+const DEFAULT_MODE = exports.REGISTRATION_MODES.includes(process.env.REGISTRATION_MODE)
+  ? process.env.REGISTRATION_MODE
+  : 'approval-required';
+
+/**
+ * Values of User.approvalStatus for self-registered accounts. Invited and
+ * provisioned users have no approval status.
+ */
+exports.APPROVAL_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+/**
+ * The current registration mode
+ * @returns {Promise<String>}
+ */
+exports.getRegistrationMode = async () => {
+  const mode = await getSetting(exports.REGISTRATION_MODE_SETTING, DEFAULT_MODE);
+  return exports.REGISTRATION_MODES.includes(mode) ? mode : DEFAULT_MODE;
+};
@@ -0,0 +1,31 @@
+// utils/requestContext.js
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Middleware that makes the current request reachable from code that has no
+ * access to req, such as the audit log hooks on the Prisma client.
+ * Mount it after the body parsers, which would otherwise drop the context.
+ */
+exports.requestContext = (req, res, next) => {
+  storage.run({ req }, next);
+};
+
+/**
+ * The request being handled, if any
+ * @returns {Object|undefined} Express request
+ */
+exports.getCurrentRequest = () => {
+  const store = storage.getStore();
+  return store && store.req;
+};
+
+/**
+ * Wrap a middleware that loses the async context (such as multer, which
+ * calls next from stream callbacks) so later handlers still see the request
+ * @param {Function} middleware - Express middleware
+ */
+exports.bindContext = (middleware) => {
+  return (req, res, next) => middleware(req, res, AsyncResource.bind(next));
+};
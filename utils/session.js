@@ -0,0 +1,222 @@
+// utils/session.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const prisma = require('./prisma');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+exports.REFRESH_TOKEN_EXPIRES_DAYS = REFRESH_TOKEN_EXPIRES_DAYS;
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+/**
+ * Split a refresh token into session id and secret
+ * @returns {{ sessionId: String, secret: String }|null}
+ */
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/i.test(sessionId)) return null;
+  return { sessionId, secret };
+};
+
+/**
+ * Whether the secret half of a refresh token belongs to a session
+ */
+const matchesSession = (session, secret) => {
+  const expected = Buffer.from(session.refreshTokenHash);
+  const actual = Buffer.from(hashToken(secret));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Sign a short-lived access token bound to a session
+ * @param {Object} user - User record
+ * @param {Object} session - Session record
+ * @returns {String} Signed JWT
+ */
+exports.signAccessToken = (user, session) => {
+  return jwt.sign(
+    { id: user.id, role: user.role, sid: session.id },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+};
+
+/**
+ * Generate a refresh token for a session. The token carries the session id so
+ * it can be looked up directly; only a hash of the secret part is stored.
+ * @param {String} sessionId - Session id
+ * @returns {{ refreshToken: String, refreshTokenHash: String }}
+ */
+const generateRefreshToken = (sessionId) => {
+  const secret = crypto.randomBytes(48).toString('hex');
+  return {
+    refreshToken: `${sessionId}.${secret}`,
+    refreshTokenHash: hashToken(secret)
+  };
+};
+
+/**
+ * Start a new session for a user after successful authentication
+ * @param {Object} user - User record
+ * @param {Object} req - Express request (for user agent and IP)
+ * @returns {Promise<{ session: Object, accessToken: String, refreshToken: String }>}
+ */
+exports.createSession = async (user, req) => {
+  // Clear out this user's expired sessions while we're here
+  await prisma.session.deleteMany({
+    where: { userId: user.id, expiresAt: { lt: new Date() } }
+  });
+
+  // The id is needed inside the token, so create the record first
+  let session = await prisma.session.create({
+    data: {
+      userId: user.id,
+      refreshTokenHash: '',
+      userAgent: req.get('user-agent') || null,
+      ipAddress: req.ip || null,
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000)
+    }
+  });
+
+  const { refreshToken, refreshTokenHash } = generateRefreshToken(session.id);
+  session = await prisma.session.update({
+    where: { id: session.id },
+    data: { refreshTokenHash }
+  });
+
+  return {
+    session,
+    accessToken: exports.signAccessToken(user, session),
+    refreshToken
+  };
+};
+
+/**
+ * Exchange a refresh token for a new access token and a rotated refresh token.
+ * Presenting an already-rotated token revokes the session, since it means the
+ * token was copied.
+ * @param {String} refreshToken - Refresh token from the client
+ * @returns {Promise<Object|null>} { session, user, accessToken, refreshToken } or null if rejected
+ */
+exports.rotateSession = async (refreshToken) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+
+  const session = await prisma.session.findUnique({
+    where: { id: parsed.sessionId }
+  });
+
+  if (!session || session.revokedAt || session.expiresAt < new Date()) return null;
+
+  if (!matchesSession(session, parsed.secret)) {
+    await exports.revokeSession(session.id);
+    return null;
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { id: session.userId }
+  });
+
+  if (!user || !user.isActive || !user.isVerified) {
+    await exports.revokeSession(session.id);
+    return null;
+  }
+
+  // Only rotate if nobody else rotated this token in the meantime
+  const rotated = generateRefreshToken(session.id);
+  const { count } = await prisma.session.updateMany({
+    where: { id: session.id, refreshTokenHash: session.refreshTokenHash },
+    data: {
+      refreshTokenHash: rotated.refreshTokenHash,
+      lastUsedAt: new Date()
+    }
+  });
+
+  if (count === 0) return null;
+
+  return {
+    session,
+    user,
+    accessToken: exports.signAccessToken(user, session),
+    refreshToken: rotated.refreshToken
+  };
+};
+
+/**
+ * Check that the session behind an access token is still usable
+ * @param {String} sessionId - Session id from the access token
+ * @param {String} userId - User id from the access token
+ * @returns {Promise<Boolean>}
+ */
+exports.isSessionActive = async (sessionId, userId) => {
+  if (!sessionId) return false;
+
+  const session = await prisma.session.findUnique({
+    where: { id: sessionId },
+    select: { userId: true, revokedAt: true, expiresAt: true }
+  });
+
+  return Boolean(
+    session &&
+    session.userId === userId &&
+    !session.revokedAt &&
+    session.expiresAt > new Date()
+  );
+};
+
+/**
+ * Revoke a single session
+ * @param {String} sessionId - Session id
+ * @param {String} [userId] - Only revoke if the session belongs to this user
+ * @returns {Promise<Number>} Number of sessions revoked
+ */
+exports.revokeSession = async (sessionId, userId) => {
+  const { count } = await prisma.session.updateMany({
+    where: {
+      id: sessionId,
+      ...(userId && { userId }),
+      revokedAt: null
+    },
+    data: { revokedAt: new Date() }
+  });
+  return count;
+};
+
+/**
+ * Revoke the session a refresh token belongs to. Nothing happens unless the
+ * token's secret matches, so a bare session id cannot end someone's session.
+ * @param {String} refreshToken - Refresh token from the client
+ * @returns {Promise<Number>} Number of sessions revoked (0 or 1)
+ */
+exports.revokeSessionByRefreshToken = async (refreshToken) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return 0;
+
+  const session = await prisma.session.findUnique({
+    where: { id: parsed.sessionId }
+  });
+
+  if (!session || session.revokedAt || !matchesSession(session, parsed.secret)) return 0;
+
+  return exports.revokeSession(session.id, session.userId);
+};
+
+/**
+ * Revoke every active session for a user
+ * @param {String} userId - User id
+ * @param {String} [exceptSessionId] - Session to keep, usually the current one
+ * @returns {Promise<Number>} Number of sessions revoked
+ */
+exports.revokeAllSessions = async (userId, exceptSessionId) => {
+  const { count } = await prisma.session.updateMany({
+    where: {
+      userId,
+      revokedAt: null,
+      ...(exceptSessionId && { id: { not: exceptSessionId } })
+    },
+    data: { revokedAt: new Date() }
+  });
+  return count;
+};
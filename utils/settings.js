@@ -0,0 +1,29 @@
+// utils/settings.js
+const prisma = require('./prisma');
+
+/**
+ * Read an application setting
+ * @param {String} key - Setting key
+ * @param {*} defaultValue - Returned when the setting has never been saved
+ */
+exports.getSetting = async (key, defaultValue) => {
+  const setting = await prisma.setting.findUnique({
+    where: { key }
+  });
+
+  return setting ? setting.value : defaultValue;
+};
+
+/**
+ * Create or update an application setting
+ * @param {String} key - Setting key
+ * @param {*} value - JSON-serialisable value
+ * @param {String} [userId] - User making the change
+ */
+exports.setSetting = async (key, value, userId) => {
+  return prisma.setting.upsert({
+    where: { key },
+    update: { value, updatedById: userId || null },
+    create: { key, value, updatedById: userId || null }
+  });
+};
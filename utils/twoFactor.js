@@ -0,0 +1,310 @@
+// utils/twoFactor.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const prisma = require('./prisma');
+const { getSetting } = require('./settings');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const BACKUP_CODE_COUNT = 10;
+
+// Setting key holding the list of roles that must use two-factor authentication
+exports.REQUIRED_ROLES_SETTING = 'twoFactorRequiredRoles';
+
+/**
+ * Encode a buffer as RFC 4648 base32 (no padding), as authenticator apps expect
+ * @param {Buffer} buffer - Raw bytes
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string
+ * @param {String} input - Base32 text
+ */
+const base32Decode = (input) => {
+  const clean = input.replace(/=+$/, '').replace(/\s/g, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Compute the RFC 6238 TOTP code for a time step
+ * @param {String} secret - Base32 secret
+ * @param {Number} step - Time step counter
+ */
+const totpForStep = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {String} Base32 secret
+ */
+exports.generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Build the otpauth:// provisioning URI shown as a QR code by the frontend
+ * @param {String} secret - Base32 secret
+ * @param {String} accountName - Usually the user's email
+ */
+exports.buildOtpauthUrl = (secret, accountName) => {
+  const issuer = process.env.APP_NAME || 'Alenalki';
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Verify a TOTP code, allowing one step of clock drift either way
+ * @param {String} secret - Base32 secret
+ * @param {String} code - Code entered by the user
+ * @param {Number} [lastUsedStep] - Step of the last accepted code, to block replays
+ * @returns {Number|null} The matched time step, or null if the code is invalid
+ */
+exports.verifyTotp = (secret, code, lastUsedStep) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+
+  for (const step of [currentStep - 1, currentStep, currentStep + 1]) {
+    if (lastUsedStep !== undefined && lastUsedStep !== null && step <= lastUsedStep) continue;
+    const expected = Buffer.from(totpForStep(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) return step;
+  }
+
+  return null;
+};
+
+/**
+ * Key used to encrypt TOTP secrets at rest
+ */
+const encryptionKey = () => {
+  return crypto
+    .createHash('sha256')
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET)
+    .digest();
+};
+
+/**
+ * Encrypt a TOTP secret for storage (AES-256-GCM)
+ * @param {String} secret - Base32 secret
+ * @returns {String} iv.tag.ciphertext, hex encoded
+ */
+exports.encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join('.');
+};
+
+/**
+ * Decrypt a stored TOTP secret
+ * @param {String} stored - Value produced by encryptSecret
+ * @returns {String} Base32 secret
+ */
+exports.decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const hashBackupCode = (code) => {
+  return crypto
+    .createHash('sha256')
+    .update(String(code).replace(/[\s-]/g, '').toLowerCase())
+    .digest('hex');
+};
+
+/**
+ * Generate a fresh set of single-use backup codes
+ * @returns {{ codes: String[], hashes: String[] }} Plain codes to show once, hashes to store
+ */
+exports.generateBackupCodes = () => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return { codes, hashes: codes.map(hashBackupCode) };
+};
+
+/**
+ * Check a backup code against the stored hashes
+ * @param {String[]} hashes - Stored backup code hashes
+ * @param {String} code - Code entered by the user
+ * @returns {String[]|null} Remaining hashes with the used code removed, or null if no match
+ */
+exports.consumeBackupCode = (hashes, code) => {
+  const hash = hashBackupCode(code);
+  const index = (hashes || []).indexOf(hash);
+  if (index === -1) return null;
+
+  return hashes.filter((_, i) => i !== index);
+};
+
+/**
+ * Sign the short-lived token that links the password step of a login to the
+ * second factor step
+ * @param {Object} user - User record
+ * @param {String} purpose - "2fa-login" or "2fa-setup"
+ */
+exports.signTwoFactorToken = (user, purpose) => {
+  return jwt.sign(
+    { id: user.id, purpose },
+    process.env.JWT_SECRET,
+    { expiresIn: purpose === '2fa-setup' ? '15m' : '5m' }
+  );
+};
+
+/**
+ * Verify a two-factor login token
+ * @param {String} token - Token from the password step
+ * @param {String} purpose - Expected purpose
+ * @returns {Object|null} Decoded payload, or null if invalid or expired
+ */
+exports.verifyTwoFactorToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Whether accounts with this role must use two-factor authentication
+ * @param {String} role - User role
+ */
+exports.isTwoFactorRequired = async (role) => {
+  const roles = await getSetting(exports.REQUIRED_ROLES_SETTING, []);
+  return Array.isArray(roles) && roles.includes(role);
+};
+
+/**
+ * Start TOTP enrollment by storing a new (not yet enabled) secret
+ * @param {Object} user - User record
+ * @returns {Promise<{ secret: String, otpauthUrl: String }>}
+ */
+exports.startEnrollment = async (user) => {
+  const secret = exports.generateSecret();
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { twoFactorSecret: exports.encryptSecret(secret) }
+  });
+
+  return { secret, otpauthUrl: exports.buildOtpauthUrl(secret, user.email) };
+};
+
+/**
+ * Finish enrollment by checking a code from the authenticator app
+ * @param {Object} user - User record with a pending twoFactorSecret
+ * @param {String} code - TOTP code
+ * @returns {Promise<String[]|null>} Plain backup codes, or null if the code is wrong
+ */
+exports.completeEnrollment = async (user, code) => {
+  if (!user.twoFactorSecret) return null;
+
+  const step = exports.verifyTotp(exports.decryptSecret(user.twoFactorSecret), code);
+  if (step === null) return null;
+
+  const { codes, hashes } = exports.generateBackupCodes();
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      twoFactorEnabled: true,
+      twoFactorBackupCodes: hashes,
+      twoFactorLastUsedStep: step
+    }
+  });
+
+  return codes;
+};
+
+/**
+ * Check a second factor for a user with 2FA enabled. Accepted TOTP codes and
+ * backup codes are burned so they cannot be replayed.
+ * @param {Object} user - User record
+ * @param {Object} input - { code } for a TOTP code or { backupCode }
+ * @returns {Promise<Boolean>}
+ */
+exports.verifySecondFactor = async (user, { code, backupCode }) => {
+  if (!user.twoFactorEnabled || !user.twoFactorSecret) return false;
+
+  if (backupCode) {
+    const remaining = exports.consumeBackupCode(user.twoFactorBackupCodes, backupCode);
+    if (!remaining) return false;
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { twoFactorBackupCodes: remaining }
+    });
+    return true;
+  }
+
+  const step = exports.verifyTotp(
+    exports.decryptSecret(user.twoFactorSecret),
+    code,
+    user.twoFactorLastUsedStep
+  );
+  if (step === null) return false;
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { twoFactorLastUsedStep: step }
+  });
+  return true;
+};
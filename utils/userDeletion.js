@@ -0,0 +1,112 @@
+// utils/userDeletion.js
+const prisma = require('./prisma');
+const { revokeAllSessions } = require('./session');
+
+/**
+ * Days a deleted user can be restored. Afterwards the original email and
+ * name are purged and the anonymisation becomes permanent.
+ */
+exports.USER_RESTORE_DAYS = parseInt(process.env.USER_RESTORE_DAYS) || 30;
+
+exports.DELETED_USER_NAME = 'Deleted user';
+
+/**
+ * Where clause for users that have not been deleted. Older records have no
+ * isDeleted field, hence "not true" rather than "false".
+ */
+exports.notDeleted = { isDeleted: { not: true } };
+
+/**
+ * When the restore window of a deleted user ends
+ * @param {Object} user - Deleted user record
+ * @returns {Date}
+ */
+exports.getRestoreDeadline = (user) => {
+  return new Date(user.deletedAt.getTime() + exports.USER_RESTORE_DAYS * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Soft-delete a user: keep the record so content and audit entries still
+ * point at it, but anonymise it, deactivate it and end its sessions.
+ * Optionally hand the user's blogs and news over to another user.
+ * @param {Object} user - User record to delete
+ * @param {String} deletedById - User performing the deletion
+ * @param {Object} [transferTo] - User receiving the content: { id, name }
+ * @returns {Promise<{ user: Object, transferred: { blogs: Number, news: Number } }>}
+ */
+exports.softDeleteUser = async (user, deletedById, transferTo) => {
+  const transferred = { blogs: 0, news: 0 };
+
+  if (transferTo) {
+    const data = { authorId: transferTo.id, authorName: transferTo.name };
+    ({ count: transferred.blogs } = await prisma.blog.updateMany({ where: { authorId: user.id }, data }));
+    ({ count: transferred.news } = await prisma.news.updateMany({ where: { authorId: user.id }, data }));
+  }
+
+  const deletedUser = await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      isDeleted: true,
+      deletedAt: new Date(),
+      deletedById,
+      restoreEmail: user.email,
+      restoreName: user.name,
+      restoreIsActive: user.isActive,
+      email: `deleted-${user.id}@deleted.invalid`,
+      name: exports.DELETED_USER_NAME,
+      isActive: false,
+      pendingEmail: null,
+      verificationToken: null,
+      verificationTokenExpires: null,
+      resetPasswordToken: null,
+      resetPasswordExpires: null,
+      inviteTokenId: null,
+      inviteExpires: null
+    }
+  });
+
+  await revokeAllSessions(user.id);
+
+  return { user: deletedUser, transferred };
+};
+
+/**
+ * Undo a deletion inside the restore window
+ * @param {Object} user - Deleted user record
+ * @returns {Promise<Object>} Restored user
+ */
+exports.restoreUser = (user) => {
+  return prisma.user.update({
+    where: { id: user.id },
+    data: {
+      email: user.restoreEmail,
+      name: user.restoreName,
+      isActive: user.restoreIsActive !== false,
+      isDeleted: false,
+      deletedAt: null,
+      deletedById: null,
+      restoreEmail: null,
+      restoreName: null,
+      restoreIsActive: null
+    }
+  });
+};
+
+/**
+ * Make deletions permanent once their restore window has passed
+ * @returns {Promise<Number>} Number of users purged
+ */
+exports.purgeExpiredDeletions = async () => {
+  const cutoff = new Date(Date.now() - exports.USER_RESTORE_DAYS * 24 * 60 * 60 * 1000);
+
+  const { count } = await prisma.user.updateMany({
+    where: { isDeleted: true, deletedAt: { lt: cutoff }, restoreEmail: { not: null } },
+    data: {
+      restoreEmail: null,
+      restoreName: null,
+      restoreIsActive: null,
+      oidcSubject: null
+    }
+  });
+  return count;
+};